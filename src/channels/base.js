@@ -2,45 +2,117 @@
 // Base Channel — all platform adapters extend this
 // ═══════════════════════════════════════════════════════════════
 
+import { createLogger } from '../core/logger.js';
+
 export class BaseChannel {
+  // Config keys read on every message — changing them needs no restart
+  static liveKeys = ['enabled', 'endpoint', 'fallbackEndpoints', 'stream', 'errorReply', 'allowList', 'blockList', 'allowGroups', 'channelList'];
+
+  // name: channel id — the type ("telegram") or an instance ("telegram:support")
   constructor(name, config = {}) {
     this.name = name;
+    this.type = name.split(':')[0];
     this.config = config;
     this.gateway = null;  // Set by gateway.registerChannel()
+    this.log = createLogger(name);
     this.status = 'stopped';
   }
 
+  // Assigning status tells the gateway when it changes (channel_status event)
+  get status() { return this._status; }
+  set status(status) {
+    const previous = this._status;
+    this._status = status;
+    if (previous !== undefined && previous !== status) {
+      this.gateway?.emit('channel_status', { name: this.name, status, previous, timestamp: Date.now() });
+    }
+  }
+
   // Override in subclass
   async start() { throw new Error('start() not implemented'); }
   async stop() { this.status = 'stopped'; }
 
-  // Send a message to the gateway for processing, get reply
-  async onMessage({ chatId, chatName, sender, text, timestamp, metadata }) {
+  // Config reload: take the new config in place and return true, or return false
+  // when something else changed (tokens, ports, ...) and the channel must restart
+  reconfigure(config) {
+    const fixed = (c) => JSON.stringify(Object.entries(c || {})
+      .filter(([key]) => !this.constructor.liveKeys.includes(key))
+      .sort(([a], [b]) => a.localeCompare(b)));
+    if (fixed(config) !== fixed(this.config)) return false;
+    this.config = config;
+    return true;
+  }
+
+  // Proactively send to a chat (no inbound message needed).
+  // content: string or { text, attachments }
+  async sendMessage(chatId, content) { throw new Error(`sendMessage() not implemented for ${this.name}`); }
+
+  // Send a message to the gateway for processing, get reply.
+  // onPartial(textSoFar) is called while a streaming agent is still answering.
+  async onMessage({ chatId, chatName, sender, senderId, text = '', attachments, timestamp, metadata, onPartial }) {
     if (!this.gateway) {
-      console.error(`[${this.name}] No gateway attached`);
+      this.log.error('No gateway attached');
       return null;
     }
 
-    console.log(`[${this.name}] ← ${sender}: ${text.substring(0, 80)}${text.length > 80 ? '...' : ''}`);
+    this.log.info('Message received', { chatId, sender, text: preview(text), attachments: attachments?.length || undefined });
 
     const result = await this.gateway.handleMessage({
       channel: this.name,
       chatId,
       chatName,
       sender,
+      senderId,
       text,
+      attachments,
       timestamp,
       metadata,
+      onPartial,
     });
 
     if (result?.reply) {
-      console.log(`[${this.name}] → ${result.reply.substring(0, 80)}${result.reply.length > 80 ? '...' : ''}`);
+      this.log.info('Reply sent', { chatId, reply: preview(result.reply), attachments: result.attachments?.length || undefined });
     }
 
     return result;
   }
 
+  // Store an inbound file; returns attachment metadata, or null if it couldn't be saved
+  async saveAttachment(buffer, meta) {
+    try {
+      return this.gateway.media.save(this.name, buffer, meta);
+    } catch (err) {
+      this.log.error('Couldn\'t save attachment', { filename: meta?.filename, error: err.message });
+      return null;
+    }
+  }
+
+  async downloadAttachment(url, meta) {
+    try {
+      return await this.gateway.media.download(this.name, url, meta);
+    } catch (err) {
+      this.log.error('Couldn\'t download attachment', { filename: meta?.filename, error: err.message });
+      return null;
+    }
+  }
+
+  // Override to ask for tool approval in chat. Return a reference for
+  // approvalSettled(), or false if this channel can't ask.
+  async requestApproval(chatId, request) { return false; }
+
+  // Optional: update the approval prompt once decided (remove buttons, etc.)
+  async approvalSettled(chatId, pending, decision) {}
+
   getStatus() {
     return this.status;
   }
 }
+
+export function normalizeContent(content) {
+  if (typeof content === 'string') return { text: content, attachments: [] };
+  return { ...content, text: content?.text || '', attachments: content?.attachments || [] };
+}
+
+function preview(text) {
+  return text.length > 80 ? `${text.substring(0, 80)}...` : text;
+}
@@ -3,11 +3,13 @@
 // Create a bot at discord.com/developers, get the token
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import { BaseChannel, normalizeContent } from './base.js';
+import { ProgressiveMessage } from './stream.js';
+import { approvalPrompt, decisionLabel } from '../core/approvals.js';
 
 export class DiscordChannel extends BaseChannel {
-  constructor(config = {}) {
-    super('discord', config);
+  constructor(config = {}, name = 'discord') {
+    super(name, config);
     this.client = null;
     this.botId = null;
   }
@@ -33,63 +35,182 @@ export class DiscordChannel extends BaseChannel {
     this.client.on('ready', () => {
       this.botId = this.client.user.id;
       this.status = 'connected';
-      console.log(`[Discord] ✓ Logged in as ${this.client.user.tag}`);
+      this.log.info('Logged in', { user: this.client.user.tag });
     });
 
-    this.client.on('messageCreate', async (msg) => {
-      // Skip bot messages
-      if (msg.author.bot) return;
-      if (msg.author.id === this.botId) return;
+    // Keep the status current across gateway drops — discord.js reconnects on its own
+    this.client.on('shardDisconnect', (event, shardId) => {
+      this.status = 'disconnected';
+      this.log.warn('Disconnected', { shard: shardId, code: event?.code });
+    });
+    this.client.on('shardReconnecting', (shardId) => {
+      this.status = 'connecting';
+      this.log.info('Reconnecting', { shard: shardId });
+    });
+    this.client.on('shardResume', () => {
+      this.status = 'connected';
+    });
+    this.client.on('shardReady', () => {
+      this.status = 'connected';
+    });
+    this.client.on('error', (err) => {
+      if (!this.client?.isReady()) this.status = 'error';   // Errors on a live connection don't drop it
+      this.log.error('Client error', { error: err.message });
+    });
+    this.client.on('invalidated', () => {
+      this.status = 'auth_failed';
+      this.log.error('Session invalidated, log in again with a valid token');
+    });
 
-      const isDM = !msg.guild;
-      const isGuild = !!msg.guild;
+    this.client.on('messageCreate', (msg) => {
+      this._handleMessage(msg).catch(err => {
+        this.log.error('Error handling message', { error: err.message });
+      });
+    });
 
-      // In servers: only respond when mentioned or in allowed channels
-      if (isGuild && !this.config.allowGroups) {
-        const isMentioned = msg.mentions.has(this.botId);
-        const isAllowedChannel = this.config.channelList?.includes(msg.channel.id);
-        if (!isMentioned && !isAllowedChannel) return;
-      }
+    // Approval buttons
+    this.client.on('interactionCreate', (interaction) => {
+      this._handleInteraction(interaction).catch(err => {
+        this.log.error('Error handling interaction', { error: err.message });
+      });
+    });
 
-      // Apply user allowlist
-      const userId = msg.author.id;
-      if (this.config.allowList?.length && !this.config.allowList.includes(userId)) return;
-      if (this.config.blockList?.length && this.config.blockList.includes(userId)) return;
+    await this.client.login(this.config.token);
+  }
 
-      // Clean up mention from text
-      let text = msg.content;
-      if (isGuild && this.botId) {
-        text = text.replace(new RegExp(`<@!?${this.botId}>`, 'g'), '').trim();
-      }
-      if (!text) return;
-
-      // Typing indicator
-      await msg.channel.sendTyping();
-
-      const result = await this.onMessage({
-        chatId: isDM ? `dm_${userId}` : msg.channel.id,
-        chatName: isDM ? msg.author.displayName : `#${msg.channel.name}`,
-        sender: msg.author.displayName || msg.author.username,
-        text,
-        timestamp: msg.createdTimestamp,
-        metadata: {
-          isGroup: isGuild,
-          messageId: msg.id,
-          channelId: msg.channel.id,
-          guildId: msg.guild?.id,
-        },
+  async _handleMessage(msg) {
+    // Skip bot messages
+    if (msg.author.bot) return;
+    if (msg.author.id === this.botId) return;
+
+    const isDM = !msg.guild;
+    const isGuild = !!msg.guild;
+
+    // In servers: only respond when mentioned or in allowed channels
+    if (isGuild && !this.config.allowGroups) {
+      const isMentioned = msg.mentions.has(this.botId);
+      const isAllowedChannel = this.config.channelList?.includes(msg.channel.id);
+      if (!isMentioned && !isAllowedChannel) return;
+    }
+
+    // Apply user allowlist
+    const userId = msg.author.id;
+    if (this.config.allowList?.length && !this.config.allowList.includes(userId)) return;
+    if (this.config.blockList?.length && this.config.blockList.includes(userId)) return;
+
+    // Clean up mention from text
+    let text = msg.content;
+    if (isGuild && this.botId) {
+      text = text.replace(new RegExp(`<@!?${this.botId}>`, 'g'), '').trim();
+    }
+    if (!text && !msg.attachments.size) return;
+
+    // Typing indicator
+    await msg.channel.sendTyping();
+
+    // Images, files and voice messages all arrive as attachments
+    const attachments = [];
+    for (const file of msg.attachments.values()) {
+      const attachment = await this.downloadAttachment(file.url, {
+        filename: file.name,
+        mimeType: file.contentType?.split(';')[0],
       });
+      if (attachment) attachments.push(attachment);
+    }
 
-      if (result?.reply) {
-        // Split long messages (Discord limit: 2000 chars)
-        const chunks = splitMessage(result.reply, 2000);
-        for (const chunk of chunks) {
-          await msg.reply(chunk);
-        }
+    // Streaming agents: edit a placeholder reply as text arrives
+    const progressive = new ProgressiveMessage({
+      send: (chunk) => msg.reply(chunk),
+      edit: (sent, chunk) => sent.edit(chunk),
+      maxLength: 2000,
+    });
+
+    const result = await this.onMessage({
+      chatId: isDM ? `dm_${userId}` : msg.channel.id,
+      chatName: isDM ? msg.author.displayName : `#${msg.channel.name}`,
+      sender: msg.author.displayName || msg.author.username,
+      senderId: userId,
+      text,
+      attachments,
+      timestamp: msg.createdTimestamp,
+      metadata: {
+        isGroup: isGuild,
+        messageId: msg.id,
+        channelId: msg.channel.id,
+        guildId: msg.guild?.id,
+      },
+      onPartial: progressive.update,
+    });
+
+    // Split long messages (Discord limit: 2000 chars)
+    const chunks = result?.reply ? splitMessage(result.reply, 2000) : null;
+    const streamed = await progressive.finish(chunks);
+
+    if (chunks && !streamed) {
+      for (const chunk of chunks) {
+        await msg.reply(chunk);
+      }
+    }
+
+    await this._sendFiles(msg.channel, result?.attachments);
+  }
+
+  async _handleInteraction(interaction) {
+    if (!interaction.isButton() || !interaction.customId.startsWith('approval:')) return;
+    const [, id, decision] = interaction.customId.split(':');
+    const ok = this.gateway?.approvals?.resolve(id, decision, interaction.user.id);
+    await interaction.reply({ content: ok ? 'Got it' : 'Not allowed or expired', ephemeral: true });
+  }
+
+  async sendMessage(chatId, content) {
+    if (!this.client?.isReady()) throw new Error('Discord client not ready');
+    const { text, attachments } = normalizeContent(content);
+    const target = await this._resolveChannel(chatId);
+    if (text) {
+      for (const chunk of splitMessage(text, 2000)) {
+        await target.send(chunk);
       }
+    }
+    await this._sendFiles(target, attachments);
+  }
+
+  // Discord allows up to 10 files per message
+  async _sendFiles(target, attachments) {
+    const files = (attachments || []).map(a => ({ attachment: a.path, name: a.filename }));
+    for (let i = 0; i < files.length; i += 10) {
+      await target.send({ files: files.slice(i, i + 10) });
+    }
+  }
+
+  async requestApproval(chatId, request) {
+    const target = await this._resolveChannel(chatId);
+    return target.send({
+      content: approvalPrompt(request),
+      components: [{
+        type: 1, // Action row
+        components: [
+          { type: 2, style: 3, label: 'Approve', custom_id: `approval:${request.id}:approve` },
+          { type: 2, style: 1, label: 'Always', custom_id: `approval:${request.id}:always` },
+          { type: 2, style: 4, label: 'Deny', custom_id: `approval:${request.id}:deny` },
+        ],
+      }],
     });
+  }
 
-    await this.client.login(this.config.token);
+  async approvalSettled(chatId, pending, decision) {
+    await pending.ref?.edit({
+      content: `${pending.description}\n\n${decisionLabel(decision)}`,
+      components: [],
+    });
+  }
+
+  // chatId is either a channel ID or dm_<userId>
+  async _resolveChannel(chatId) {
+    if (chatId.startsWith('dm_')) {
+      const user = await this.client.users.fetch(chatId.slice(3));
+      return user.createDM();
+    }
+    return this.client.channels.fetch(chatId);
   }
 
   async stop() {
@@ -101,7 +222,7 @@ export class DiscordChannel extends BaseChannel {
   }
 
   getStatus() {
-    return this.client?.isReady() ? 'connected' : this.status;
+    return this.status;
   }
 }
 
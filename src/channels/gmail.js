@@ -3,18 +3,21 @@
 // Uses OAuth2 for auth, polls for new emails, sends replies
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import { BaseChannel, normalizeContent } from './base.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { isExposed } from '../core/secrets.js';
 
 export class GmailChannel extends BaseChannel {
-  constructor(config = {}) {
-    super('gmail', config);
+  constructor(config = {}, name = 'gmail') {
+    super(name, config);
     this.gmail = null;
     this.auth = null;
     this.pollInterval = null;
     this.processedIds = new Set();
     this.lastCheck = null;
+    this.emailAddress = null;
   }
 
   async start() {
@@ -32,8 +35,9 @@ export class GmailChannel extends BaseChannel {
     const oauth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris?.[0] || 'http://localhost:3000/callback');
 
     // Load saved tokens
-    const tokenPath = this.config.tokenPath || path.join(process.env.HOME || '.', '.empli', 'gmail-token.json');
+    const tokenPath = this.config.tokenPath || path.join(this.gateway.dataDir, gmailTokenFile(this.name));
     if (fs.existsSync(tokenPath)) {
+      if (isExposed(tokenPath)) this.log.warn('Token file is readable by other users', { path: tokenPath, fix: `chmod 600 ${tokenPath}` });
       const tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf-8'));
       oauth2Client.setCredentials(tokens);
     } else {
@@ -46,9 +50,7 @@ export class GmailChannel extends BaseChannel {
           'https://www.googleapis.com/auth/gmail.modify',
         ],
       });
-      console.log('\n[Gmail] Authorize by visiting this URL:');
-      console.log(authUrl);
-      console.log('\nThen run: empli gmail-auth <code>');
+      this.log.warn(`Authorization needed: visit the URL, then run: empli gmail-auth <code>${this.name === 'gmail' ? '' : ` ${this.name}`}`, { url: authUrl });
       this.status = 'needs_auth';
       return;
     }
@@ -63,7 +65,7 @@ export class GmailChannel extends BaseChannel {
     const interval = this.config.pollInterval || 15000;
     this.pollInterval = setInterval(() => this._poll(), interval);
     this.status = 'connected';
-    console.log(`[Gmail] ✓ Connected, polling every ${interval / 1000}s`);
+    this.log.info('Connected', { pollIntervalMs: interval });
   }
 
   async _markExistingAsSeen() {
@@ -76,9 +78,9 @@ export class GmailChannel extends BaseChannel {
       for (const msg of res.data.messages || []) {
         this.processedIds.add(msg.id);
       }
-      console.log(`[Gmail] Marked ${this.processedIds.size} existing unread as seen`);
+      this.log.info('Marked existing unread as seen', { count: this.processedIds.size });
     } catch (err) {
-      console.error('[Gmail] Error marking existing:', err.message);
+      this.log.error('Error marking existing unread', { error: err.message });
     }
   }
 
@@ -98,11 +100,11 @@ export class GmailChannel extends BaseChannel {
       }
     } catch (err) {
       if (err.code === 401) {
-        console.error('[Gmail] Token expired. Re-authorize.');
+        this.log.error('Token expired, re-authorize with empli gmail-auth');
         this.status = 'needs_auth';
         clearInterval(this.pollInterval);
       } else {
-        console.error('[Gmail] Poll error:', err.message);
+        this.log.error('Poll error', { error: err.message });
       }
     }
   }
@@ -130,15 +132,18 @@ export class GmailChannel extends BaseChannel {
     if (this.config.allowList?.length && !this.config.allowList.some(a => from.includes(a))) return;
     if (this.config.blockList?.length && this.config.blockList.some(b => from.includes(b))) return;
 
-    // Extract body text
+    // Extract body text and attachments
     const body = this._extractText(full.data.payload);
     const text = `[Email from: ${senderName} <${senderEmail}>]\n[Subject: ${subject}]\n\n${body}`;
+    const attachments = await this._downloadAttachments(messageId, full.data.payload);
 
     const result = await this.onMessage({
       chatId: `thread_${threadId}`,
       chatName: subject,
       sender: senderName,
+      senderId: senderEmail,
       text,
+      attachments,
       timestamp: parseInt(full.data.internalDate),
       metadata: {
         messageId,
@@ -149,8 +154,8 @@ export class GmailChannel extends BaseChannel {
       },
     });
 
-    if (result?.reply) {
-      await this._sendReply(senderEmail, subject, result.reply, threadId, messageIdHeader);
+    if (result?.reply || result?.attachments?.length) {
+      await this._sendReply(senderEmail, subject, result.reply, threadId, messageIdHeader, result.attachments);
 
       // Mark as read
       await this.gmail.users.messages.modify({
@@ -161,18 +166,85 @@ export class GmailChannel extends BaseChannel {
     }
   }
 
-  async _sendReply(to, subject, body, threadId, inReplyTo) {
+  // chatId is thread_<id> (reply in that thread) or an email address (new email).
+  // content may carry a subject for new emails.
+  async sendMessage(chatId, content) {
+    if (!this.gmail) throw new Error('Gmail not connected');
+    const { text, subject, attachments } = normalizeContent(content);
+
+    if (!chatId.startsWith('thread_')) {
+      await this._sendEmail({ to: chatId, subject: subject || 'Message from your assistant', body: text, attachments });
+      return;
+    }
+
+    const threadId = chatId.slice('thread_'.length);
+    const thread = await this.gmail.users.threads.get({
+      userId: 'me',
+      id: threadId,
+      format: 'metadata',
+      metadataHeaders: ['From', 'Reply-To', 'Subject', 'Message-ID'],
+    });
+
+    // Reply to the last message someone else sent in the thread
+    const me = await this._ownAddress();
+    const messages = thread.data.messages || [];
+    const header = (m, name) => m.payload.headers.find(h => h.name === name)?.value || '';
+    const last = [...messages].reverse().find(m => !header(m, 'From').includes(me)) || messages[messages.length - 1];
+    if (!last) throw new Error(`Gmail thread ${threadId} not found`);
+
+    const from = header(last, 'Reply-To') || header(last, 'From');
+    const to = from.match(/<(.+)>$/)?.[1] || from;
+    await this._sendReply(to, header(last, 'Subject') || '(no subject)', text, threadId, header(last, 'Message-ID'), attachments);
+  }
+
+  async _ownAddress() {
+    if (!this.emailAddress) {
+      const profile = await this.gmail.users.getProfile({ userId: 'me' });
+      this.emailAddress = profile.data.emailAddress;
+    }
+    return this.emailAddress;
+  }
+
+  async _sendReply(to, subject, body, threadId, inReplyTo, attachments) {
     const replySubject = subject.startsWith('Re:') ? subject : `Re: ${subject}`;
+    await this._sendEmail({ to, subject: replySubject, body, threadId, inReplyTo, attachments });
+    this.log.info('Email sent', { to });
+  }
+
+  async _sendEmail({ to, subject, body = '', threadId, inReplyTo, attachments = [] }) {
+    const headers = [
+      `To: ${singleLine(to)}`,
+      `Subject: ${encodeHeader(subject)}`,
+      ...(inReplyTo ? [`In-Reply-To: ${singleLine(inReplyTo)}`, `References: ${singleLine(inReplyTo)}`] : []),
+    ];
+
+    let raw;
+    if (!attachments.length) {
+      raw = [...headers, 'Content-Type: text/plain; charset=utf-8', '', body].join('\r\n');
+    } else {
+      const boundary = `empli_${crypto.randomBytes(8).toString('hex')}`;
+      const parts = attachments.map(a => [
+        `--${boundary}`,
+        `Content-Type: ${MIME_TYPE.test(a.mimeType) ? a.mimeType : 'application/octet-stream'}; ${encodeParam('name', a.filename)}`,
+        `Content-Disposition: attachment; ${encodeParam('filename', a.filename)}`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        fs.readFileSync(a.path).toString('base64').replace(/.{76}/g, '$&\r\n'),
+      ].join('\r\n'));
 
-    const raw = [
-      `To: ${to}`,
-      `Subject: ${replySubject}`,
-      `In-Reply-To: ${inReplyTo}`,
-      `References: ${inReplyTo}`,
-      'Content-Type: text/plain; charset=utf-8',
-      '',
-      body,
-    ].join('\r\n');
+      raw = [
+        ...headers,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        body,
+        ...parts,
+        `--${boundary}--`,
+      ].join('\r\n');
+    }
 
     const encoded = Buffer.from(raw).toString('base64url');
 
@@ -183,8 +255,35 @@ export class GmailChannel extends BaseChannel {
         threadId,
       },
     });
+  }
 
-    console.log(`[Gmail] ✓ Reply sent to ${to}`);
+  async _downloadAttachments(messageId, payload) {
+    const attachments = [];
+    const walk = async (part) => {
+      if (part.filename && (part.body?.attachmentId || part.body?.data)) {
+        try {
+          let data = part.body.data;
+          if (!data) {
+            const res = await this.gmail.users.messages.attachments.get({
+              userId: 'me',
+              messageId,
+              id: part.body.attachmentId,
+            });
+            data = res.data.data;
+          }
+          const attachment = await this.saveAttachment(Buffer.from(data, 'base64url'), {
+            filename: part.filename,
+            mimeType: part.mimeType,
+          });
+          if (attachment) attachments.push(attachment);
+        } catch (err) {
+          this.log.error('Couldn\'t fetch attachment', { filename: part.filename, error: err.message });
+        }
+      }
+      for (const child of part.parts || []) await walk(child);
+    };
+    await walk(payload);
+    return attachments;
   }
 
   _extractText(payload) {
@@ -212,3 +311,45 @@ export class GmailChannel extends BaseChannel {
     return this.status;
   }
 }
+
+// gmail-token.json, or gmail-token-<instance>.json for "gmail:<instance>"
+export function gmailTokenFile(channelId) {
+  const instance = channelId.split(':')[1];
+  return instance ? `gmail-token-${instance}.json` : 'gmail-token.json';
+}
+
+// ─── MIME headers ───
+// Subjects and file names come from the agent: CR/LF would start new headers and a quote
+// would end the parameter, so both are neutralized and non-ASCII text is encoded.
+
+const MIME_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+
+function singleLine(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+// RFC 2047 encoded-words, each under the 75 character limit and split on whole characters
+function encodeHeader(value) {
+  const text = singleLine(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map(w => `=?UTF-8?B?${Buffer.from(w).toString('base64')}?=`).join('\r\n ');
+}
+
+// name="..." with quotes escaped, plus an RFC 2231 name*=UTF-8''... when it isn't plain ASCII
+function encodeParam(name, value) {
+  const text = singleLine(value) || 'attachment';
+  const quote = (t) => `${name}="${t.replace(/[\\"]/g, '\\$&')}"`;
+  if (/^[\x20-\x7e]*$/.test(text)) return quote(text);
+  const encoded = encodeURIComponent(text).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${quote(text.replace(/[^\x20-\x7e]/g, '_'))}; ${name}*=UTF-8''${encoded}`;
+}
@@ -1,6 +1,57 @@
-export { WhatsAppChannel } from './whatsapp.js';
-export { TelegramChannel } from './telegram.js';
-export { DiscordChannel } from './discord.js';
-export { SlackChannel } from './slack.js';
-export { GmailChannel } from './gmail.js';
-export { WebChatChannel } from './webchat.js';
+import { WhatsAppChannel } from './whatsapp.js';
+import { TelegramChannel } from './telegram.js';
+import { DiscordChannel } from './discord.js';
+import { SlackChannel } from './slack.js';
+import { GmailChannel } from './gmail.js';
+import { WebChatChannel } from './webchat.js';
+import { WebhookChannel } from './webhook.js';
+
+export { WhatsAppChannel, TelegramChannel, DiscordChannel, SlackChannel, GmailChannel, WebChatChannel, WebhookChannel };
+
+// config.channels key → class, in start order (WebChat first: it hosts the API)
+export const CHANNEL_TYPES = {
+  webchat: WebChatChannel,
+  whatsapp: WhatsAppChannel,
+  telegram: TelegramChannel,
+  discord: DiscordChannel,
+  slack: SlackChannel,
+  gmail: GmailChannel,
+  webhook: WebhookChannel,
+};
+
+// Channel ids: the type ("telegram") for channels.telegram itself, "telegram:support" for
+// channels.telegram.instances.support — each instance is its own bot/workspace/account
+export function parseChannelId(id) {
+  const [type, instance = null] = String(id).split(':');
+  return { type, instance };
+}
+
+// WebChat runs unless enabled: false; the others only with enabled: true.
+// Instances run unless they say enabled: false. WebChat has no instances.
+export function enabledChannels(channels = {}) {
+  const ids = [];
+  for (const type of Object.keys(CHANNEL_TYPES)) {
+    const config = channels[type];
+    if (type === 'webchat' ? config?.enabled !== false : config?.enabled) ids.push(type);
+    if (type === 'webchat') continue;
+    for (const [name, instance] of Object.entries(config?.instances || {})) {
+      if (instance?.enabled !== false) ids.push(`${type}:${name}`);
+    }
+  }
+  return ids;
+}
+
+// The config a channel id runs with (the type's own section without its instances)
+export function channelConfig(channels = {}, id) {
+  const { type, instance } = parseChannelId(id);
+  if (instance) return channels[type]?.instances?.[instance];
+  if (!channels[type]) return undefined;
+  const { instances, ...config } = channels[type];
+  return config;
+}
+
+export function createChannel(id, config = {}) {
+  const Channel = CHANNEL_TYPES[parseChannelId(id).type];
+  if (!Channel) throw new Error(`Unknown channel: ${id}`);
+  return new Channel(config, id);
+}
@@ -3,11 +3,14 @@
 // Create a Slack app at api.slack.com/apps, get bot + app tokens
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import { BaseChannel, normalizeContent } from './base.js';
+import fs from 'fs';
+import { ProgressiveMessage } from './stream.js';
+import { approvalPrompt, decisionLabel } from '../core/approvals.js';
 
 export class SlackChannel extends BaseChannel {
-  constructor(config = {}) {
-    super('slack', config);
+  constructor(config = {}, name = 'slack') {
+    super(name, config);
     this.app = null;
     this.botUserId = null;
   }
@@ -32,12 +35,13 @@ export class SlackChannel extends BaseChannel {
 
     // Handle messages
     this.app.message(async ({ message, say, client }) => {
-      // Skip bot messages
-      if (message.bot_id || message.subtype) return;
+      // Skip bot messages and edits/joins/etc. (file uploads are fine)
+      if (message.bot_id) return;
+      if (message.subtype && message.subtype !== 'file_share') return;
       if (message.user === this.botUserId) return;
 
       const text = message.text || '';
-      if (!text.trim()) return;
+      if (!text.trim() && !message.files?.length) return;
 
       // Apply allowlist
       if (this.config.allowList?.length && !this.config.allowList.includes(message.user)) return;
@@ -63,31 +67,42 @@ export class SlackChannel extends BaseChannel {
         }
       }
 
+      const threadTs = message.thread_ts || message.ts;
+      const progressive = this._progressive(client, message.channel, threadTs);
+      const attachments = await this._downloadFiles(message.files);
+
       const result = await this.onMessage({
         chatId: message.channel,
         chatName: isDM ? senderName : chatName,
         sender: senderName,
+        senderId: message.user,
         text,
+        attachments,
         timestamp: parseFloat(message.ts) * 1000,
         metadata: {
           isGroup: !isDM,
           messageId: message.ts,
           threadTs: message.thread_ts,
         },
+        onPartial: progressive.update,
       });
 
-      if (result?.reply) {
+      const streamed = await progressive.finish(result?.reply ? [result.reply] : null);
+
+      if (result?.reply && !streamed) {
         await say({
           text: result.reply,
-          thread_ts: message.thread_ts || message.ts,
+          thread_ts: threadTs,
         });
       }
+
+      await this._uploadFiles(message.channel, result?.attachments, threadTs);
     });
 
     // Handle app mentions in channels
     this.app.event('app_mention', async ({ event, say, client }) => {
       let text = event.text.replace(new RegExp(`<@${this.botUserId}>`, 'g'), '').trim();
-      if (!text) return;
+      if (!text && !event.files?.length) return;
 
       let senderName = event.user;
       try {
@@ -95,27 +110,131 @@ export class SlackChannel extends BaseChannel {
         senderName = userInfo.user.real_name || userInfo.user.name;
       } catch (e) {}
 
+      const threadTs = event.thread_ts || event.ts;
+      const progressive = this._progressive(client, event.channel, threadTs);
+      const attachments = await this._downloadFiles(event.files);
+
       const result = await this.onMessage({
         chatId: event.channel,
         chatName: `#${event.channel}`,
         sender: senderName,
+        senderId: event.user,
         text,
+        attachments,
         timestamp: parseFloat(event.ts) * 1000,
         metadata: { isGroup: true, messageId: event.ts },
+        onPartial: progressive.update,
       });
 
-      if (result?.reply) {
+      const streamed = await progressive.finish(result?.reply ? [result.reply] : null);
+
+      if (result?.reply && !streamed) {
         await say({
           text: result.reply,
-          thread_ts: event.thread_ts || event.ts,
+          thread_ts: threadTs,
         });
       }
+
+      await this._uploadFiles(event.channel, result?.attachments, threadTs);
+    });
+
+    // Approval buttons (Block Kit)
+    this.app.action(/^approval_(approve|always|deny)$/, async ({ ack, action, body, client }) => {
+      await ack();
+      const decision = action.action_id.replace('approval_', '');
+      const ok = this.gateway?.approvals?.resolve(action.value, decision, body.user.id);
+      if (!ok && body.channel?.id) {
+        await client.chat.postEphemeral({
+          channel: body.channel.id,
+          user: body.user.id,
+          text: 'Not allowed or expired',
+        }).catch(() => {});
+      }
     });
 
     await this.app.start();
     this.status = 'connected';
   }
 
+  // content may carry threadTs to post into a thread
+  async sendMessage(chatId, content) {
+    if (!this.app) throw new Error('Slack app not running');
+    const { text, threadTs, attachments } = normalizeContent(content);
+    if (text) {
+      await this.app.client.chat.postMessage({ channel: chatId, text, thread_ts: threadTs });
+    }
+    await this._uploadFiles(chatId, attachments, threadTs);
+  }
+
+  // Slack file URLs need the bot token (scope: files:read)
+  async _downloadFiles(files) {
+    const attachments = [];
+    for (const file of files || []) {
+      const attachment = await this.downloadAttachment(file.url_private_download || file.url_private, {
+        filename: file.name,
+        mimeType: file.mimetype,
+        headers: { Authorization: `Bearer ${this.config.botToken}` },
+      });
+      if (attachment) attachments.push(attachment);
+    }
+    return attachments;
+  }
+
+  // Needs scope: files:write
+  async _uploadFiles(channel, attachments, threadTs) {
+    for (const attachment of attachments || []) {
+      await this.app.client.files.uploadV2({
+        channel_id: channel,
+        thread_ts: threadTs,
+        file: fs.createReadStream(attachment.path),
+        filename: attachment.filename,
+      });
+    }
+  }
+
+  // Streaming agents: post a placeholder in the thread and update it as text arrives
+  _progressive(client, channel, threadTs) {
+    return new ProgressiveMessage({
+      send: (text) => client.chat.postMessage({ channel, text, thread_ts: threadTs }),
+      edit: (sent, text) => client.chat.update({ channel, ts: sent.ts, text }),
+      maxLength: 40000,
+    });
+  }
+
+  async requestApproval(chatId, request) {
+    const text = approvalPrompt(request);
+    const button = (label, decision, style) => ({
+      type: 'button',
+      text: { type: 'plain_text', text: label },
+      action_id: `approval_${decision}`,
+      value: request.id,
+      ...(style ? { style } : {}),
+    });
+
+    const res = await this.app.client.chat.postMessage({
+      channel: chatId,
+      text,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `:warning: *Approval needed*\n\`${request.description}\`` } },
+        {
+          type: 'actions',
+          elements: [
+            button('Approve', 'approve', 'primary'),
+            button('Always', 'always'),
+            button('Deny', 'deny', 'danger'),
+          ],
+        },
+      ],
+    });
+    return res.ts;
+  }
+
+  async approvalSettled(chatId, pending, decision) {
+    if (!pending.ref) return;
+    const text = `${pending.description}\n\n${decisionLabel(decision)}`;
+    await this.app.client.chat.update({ channel: chatId, ts: pending.ref, text, blocks: [] });
+  }
+
   async stop() {
     if (this.app) {
       await this.app.stop();
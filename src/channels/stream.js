@@ -0,0 +1,82 @@
+// ═══════════════════════════════════════════════════════════════
+// Progressive Message — live-edits a placeholder while the agent streams
+// Used by channels that can edit sent messages (Telegram, Discord, Slack)
+// ═══════════════════════════════════════════════════════════════
+
+import { createLogger } from '../core/logger.js';
+
+const log = createLogger('Stream');
+const CURSOR = ' ▍';
+
+export class ProgressiveMessage {
+  // send(text) → handle, edit(handle, text) → Promise
+  constructor({ send, edit, interval = 1000, maxLength = 4000 }) {
+    this.send = send;
+    this.edit = edit;
+    this.interval = interval;
+    this.maxLength = maxLength;
+    this.handle = null;
+    this.latest = '';
+    this.shown = '';
+    this.timer = null;
+    this.flushes = 0;
+    this.inflight = Promise.resolve();
+    this.finished = false;
+  }
+
+  // Pass as onPartial — cheap to call on every token
+  update = (text) => {
+    if (this.finished) return;
+    this.latest = text;
+    if (this.timer) return;
+
+    // Show the first tokens right away, then throttle edits
+    const delay = this.flushes++ ? this.interval : 0;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.inflight = this.inflight.then(() => this._flush()).catch(err => {
+        log.warn('Progressive update failed', { error: err.message });
+      });
+    }, delay);
+  };
+
+  async _flush() {
+    if (this.finished) return;
+    const preview = truncate(this.latest, this.maxLength - CURSOR.length) + CURSOR;
+    if (preview === this.shown) return;
+
+    if (!this.handle) {
+      this.handle = await this.send(preview);
+    } else {
+      await this.edit(this.handle, preview);
+    }
+    this.shown = preview;
+  }
+
+  // Replace the placeholder with the final text (already split to the platform
+  // limit). Returns false if nothing was streamed, so the caller replies normally.
+  async finish(chunks) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.inflight;
+    this.finished = true;
+
+    if (!this.handle && !this.latest) return false;
+
+    // No final reply (agent failed mid-stream): keep what we have, minus the cursor
+    const [first, ...rest] = chunks?.length ? chunks : [truncate(this.latest, this.maxLength)];
+
+    if (!this.handle) {
+      // Stream ended before the first flush — nothing on screen yet
+      await this.send(first);
+    } else if (first !== this.shown) {
+      await this.edit(this.handle, first);
+    }
+    for (const chunk of rest) await this.send(chunk);
+    return true;
+  }
+}
+
+function truncate(text, maxLen) {
+  return text.length > maxLen ? text.substring(0, maxLen - 1) + '…' : text;
+}
@@ -3,11 +3,13 @@
 // Create a bot via @BotFather, get the token
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import { BaseChannel, normalizeContent } from './base.js';
+import { ProgressiveMessage } from './stream.js';
+import { approvalPrompt, decisionLabel } from '../core/approvals.js';
 
 export class TelegramChannel extends BaseChannel {
-  constructor(config = {}) {
-    super('telegram', config);
+  constructor(config = {}, name = 'telegram') {
+    super(name, config);
     this.bot = null;
   }
 
@@ -21,72 +23,180 @@ export class TelegramChannel extends BaseChannel {
 
     this.bot = new Telegraf(this.config.token);
 
-    // Handle text messages
-    this.bot.on('text', async (ctx) => {
-      const msg = ctx.message;
-      const chat = msg.chat;
-      const sender = msg.from;
-
-      // Apply allowlist
-      const senderId = String(sender.id);
-      if (this.config.allowList?.length && !this.config.allowList.includes(senderId)) return;
-      if (this.config.blockList?.length && this.config.blockList.includes(senderId)) return;
-
-      // Skip groups unless configured
-      const isGroup = chat.type === 'group' || chat.type === 'supergroup';
-      if (isGroup && !this.config.allowGroups) {
-        // In groups, only respond if bot is mentioned or replied to
-        const botInfo = await this.bot.telegram.getMe();
-        const isMentioned = msg.text?.includes(`@${botInfo.username}`);
-        const isReply = msg.reply_to_message?.from?.id === botInfo.id;
-        if (!isMentioned && !isReply) return;
-      }
-
-      const senderName = [sender.first_name, sender.last_name].filter(Boolean).join(' ') || sender.username || senderId;
-
-      // Send typing indicator
-      await ctx.sendChatAction('typing');
-
-      const result = await this.onMessage({
-        chatId: String(chat.id),
-        chatName: chat.title || senderName,
-        sender: senderName,
-        text: msg.text,
-        timestamp: msg.date * 1000,
-        metadata: {
-          isGroup,
-          messageId: String(msg.message_id),
-          username: sender.username,
-        },
+    // Handle text and media messages. Telegraf's polling loop waits for handlers to
+    // finish before fetching more updates, so process in the background — otherwise
+    // an "approve" reply can't arrive while a message is waiting on approval.
+    this.bot.on(['text', 'photo', 'document', 'voice', 'audio', 'video', 'video_note'], (ctx) => {
+      this._handleMessage(ctx).catch(err => {
+        this.log.error('Error handling message', { error: err.message });
       });
+    });
 
-      if (result?.reply) {
-        // Keep typing indicator going for long responses
-        await ctx.sendChatAction('typing');
-
-        // Split long messages (Telegram limit: 4096 chars)
-        const chunks = splitMessage(result.reply, 4096);
-        for (const chunk of chunks) {
-          await ctx.reply(chunk, {
-            reply_to_message_id: isGroup ? msg.message_id : undefined,
-          });
-        }
+    // Approval buttons
+    this.bot.on('callback_query', async (ctx) => {
+      const data = ctx.callbackQuery.data || '';
+      if (!data.startsWith('approval:')) return;
+      const [, id, decision] = data.split(':');
+      try {
+        const ok = this.gateway?.approvals?.resolve(id, decision, String(ctx.from.id));
+        await ctx.answerCbQuery(ok ? 'Got it' : 'Not allowed or expired');
+      } catch (err) {
+        this.log.error('Error handling approval button', { error: err.message });
       }
     });
 
+    // Telegraf's default handler rethrows, which stops polling — log and keep going instead
+    this.bot.catch((err, ctx) => {
+      this.log.error('Error handling update', { update: ctx?.updateType, error: err.message });
+    });
+
     // Handle /start command
     this.bot.start((ctx) => {
-      ctx.reply('Hey! I\'m your Empli agent. Send me a message to get started.');
+      return ctx.reply('Hey! I\'m your Empli agent. Send me a message to get started.');
     });
 
-    // Launch bot
-    await this.bot.launch();
+    // Launch bot — launch() only resolves when polling stops, so wait for onLaunch instead
+    await new Promise((resolve, reject) => {
+      this.bot.launch(resolve).catch(reject);
+    });
     this.status = 'connected';
-    console.log('[Telegram] ✓ Bot started');
+    this.log.info('Bot started');
+  }
+
+  async _handleMessage(ctx) {
+    const msg = ctx.message;
+    const chat = msg.chat;
+    const sender = msg.from;
+
+    // Apply allowlist
+    const senderId = String(sender.id);
+    if (this.config.allowList?.length && !this.config.allowList.includes(senderId)) return;
+    if (this.config.blockList?.length && this.config.blockList.includes(senderId)) return;
+
+    // Skip groups unless configured
+    const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+    if (isGroup && !this.config.allowGroups) {
+      // In groups, only respond if bot is mentioned or replied to
+      const botInfo = await this.bot.telegram.getMe();
+      const isMentioned = (msg.text || msg.caption)?.includes(`@${botInfo.username}`);
+      const isReply = msg.reply_to_message?.from?.id === botInfo.id;
+      if (!isMentioned && !isReply) return;
+    }
+
+    const senderName = [sender.first_name, sender.last_name].filter(Boolean).join(' ') || sender.username || senderId;
+
+    // Send typing indicator
+    await ctx.sendChatAction('typing');
+
+    const attachments = await this._downloadAttachments(msg);
+
+    // Streaming agents: edit a placeholder message as text arrives
+    const replyOptions = { reply_to_message_id: isGroup ? msg.message_id : undefined };
+    const progressive = new ProgressiveMessage({
+      send: (text) => ctx.reply(text, replyOptions),
+      edit: (sent, text) => ctx.telegram.editMessageText(chat.id, sent.message_id, undefined, text),
+      interval: 1200,
+      maxLength: 4096,
+    });
+
+    const result = await this.onMessage({
+      chatId: String(chat.id),
+      chatName: chat.title || senderName,
+      sender: senderName,
+      senderId,
+      text: msg.text || msg.caption || '',
+      attachments,
+      timestamp: msg.date * 1000,
+      metadata: {
+        isGroup,
+        messageId: String(msg.message_id),
+        username: sender.username,
+      },
+      onPartial: progressive.update,
+    });
+
+    // Split long messages (Telegram limit: 4096 chars)
+    const chunks = result?.reply ? splitMessage(result.reply, 4096) : null;
+    const streamed = await progressive.finish(chunks);
+
+    if (chunks && !streamed) {
+      // Keep typing indicator going for long responses
+      await ctx.sendChatAction('typing');
+
+      for (const chunk of chunks) {
+        await ctx.reply(chunk, replyOptions);
+      }
+    }
+
+    await this._sendAttachments(chat.id, result?.attachments, replyOptions);
+  }
+
+  async _downloadAttachments(msg) {
+    const files = [];
+    if (msg.photo?.length) {
+      // Telegram sends several sizes — take the largest
+      files.push({ file: msg.photo[msg.photo.length - 1], type: 'image', mimeType: 'image/jpeg' });
+    }
+    if (msg.document) files.push({ file: msg.document, filename: msg.document.file_name, mimeType: msg.document.mime_type });
+    if (msg.voice) files.push({ file: msg.voice, type: 'audio', filename: 'voice.ogg', mimeType: msg.voice.mime_type || 'audio/ogg' });
+    if (msg.audio) files.push({ file: msg.audio, type: 'audio', filename: msg.audio.file_name, mimeType: msg.audio.mime_type });
+    if (msg.video) files.push({ file: msg.video, type: 'video', filename: msg.video.file_name, mimeType: msg.video.mime_type });
+    if (msg.video_note) files.push({ file: msg.video_note, type: 'video', filename: 'video_note.mp4', mimeType: 'video/mp4' });
+
+    const attachments = [];
+    for (const { file, ...meta } of files) {
+      try {
+        const link = await this.bot.telegram.getFileLink(file.file_id);
+        const attachment = await this.downloadAttachment(link.href, meta);
+        if (attachment) attachments.push(attachment);
+      } catch (err) {
+        // Bot API can't fetch files over 20 MB
+        this.log.error('Couldn\'t fetch attachment', { error: err.message });
+      }
+    }
+    return attachments;
+  }
+
+  async _sendAttachments(chatId, attachments, extra = {}) {
+    for (const attachment of attachments || []) {
+      const file = { source: attachment.path, filename: attachment.filename };
+      const tg = this.bot.telegram;
+      if (attachment.type === 'image') await tg.sendPhoto(chatId, file, extra);
+      else if (attachment.type === 'audio' && attachment.mimeType === 'audio/ogg') await tg.sendVoice(chatId, file, extra);
+      else if (attachment.type === 'audio') await tg.sendAudio(chatId, file, extra);
+      else if (attachment.type === 'video') await tg.sendVideo(chatId, file, extra);
+      else await tg.sendDocument(chatId, file, extra);
+    }
+  }
+
+  async sendMessage(chatId, content) {
+    if (!this.bot) throw new Error('Telegram bot not running');
+    const { text, attachments } = normalizeContent(content);
+    if (text) {
+      for (const chunk of splitMessage(text, 4096)) {
+        await this.bot.telegram.sendMessage(chatId, chunk);
+      }
+    }
+    await this._sendAttachments(chatId, attachments);
+  }
+
+  async requestApproval(chatId, request) {
+    const sent = await this.bot.telegram.sendMessage(chatId, approvalPrompt(request), {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Approve', callback_data: `approval:${request.id}:approve` },
+          { text: '♾ Always', callback_data: `approval:${request.id}:always` },
+          { text: '❌ Deny', callback_data: `approval:${request.id}:deny` },
+        ]],
+      },
+    });
+    return sent.message_id;
+  }
 
-    // Graceful stop
-    process.once('SIGINT', () => this.bot?.stop('SIGINT'));
-    process.once('SIGTERM', () => this.bot?.stop('SIGTERM'));
+  async approvalSettled(chatId, pending, decision) {
+    if (!pending.ref) return;
+    await this.bot.telegram.editMessageText(chatId, pending.ref, undefined,
+      `${pending.description}\n\n${decisionLabel(decision)}`);
   }
 
   async stop() {
@@ -0,0 +1,357 @@
+// ═══════════════════════════════════════════════════════════════
+// Admin Dashboard — /admin on the WebChat server
+// Channel status, live message feed, sessions, approvals, scheduled tasks.
+// The page is static; every /admin/api route needs an admin-scoped key.
+// ═══════════════════════════════════════════════════════════════
+
+import { describePending } from '../core/approvals.js';
+
+// Gateway events forwarded to the live feed
+const FEED_EVENTS = ['message', 'reply', 'outbound', 'approval_request', 'approval_settled', 'channel'];
+
+export class AdminDashboard {
+  constructor(channel) {
+    this.channel = channel;      // WebChatChannel — provides gateway + auth
+    this.streams = new Set();    // open /admin/api/events responses
+    this.listeners = [];         // [event, handler] registered on the gateway
+  }
+
+  get gateway() {
+    return this.channel.gateway;
+  }
+
+  // json: body parser, run after the key is checked
+  mount(app, json) {
+    const admin = this.channel.auth.require('admin');
+
+    app.get('/admin', (req, res) => {
+      res.send(ADMIN_HTML);
+    });
+
+    // ── Everything the dashboard shows, in one call ──
+    app.get('/admin/api/overview', admin, (req, res) => {
+      res.json(this.overview());
+    });
+
+    // ── Live feed (Server-Sent Events) ──
+    app.get('/admin/api/events', admin, (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+      res.write('retry: 3000\n\n');
+      this.streams.add(res);
+
+      const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        this.streams.delete(res);
+      });
+    });
+
+    // ── Channels ──
+    app.post('/admin/api/channels/:name/:action(enable|disable)', admin, route(async (req, res) => {
+      const { name, action } = req.params;
+      const result = action === 'enable'
+        ? await this.gateway.enableChannel(name)
+        : await this.gateway.disableChannel(name);
+      if (result.error && result.ok === undefined) {
+        return res.status(this.gateway.channels.has(name) ? 400 : 404).json(result);
+      }
+      res.status(result.ok ? 200 : 502).json(result);
+    }));
+
+    // ── Approvals ── { decision: approve|always|deny } — admins may decide any request
+    app.post('/admin/api/approvals/:id', admin, json, (req, res) => {
+      const ok = this.gateway.approvals?.resolve(req.params.id, req.body?.decision, `admin:${req.auth.name}`, { override: true });
+      if (!ok) {
+        return res.status(404).json({ error: 'approval not found, expired, or invalid decision' });
+      }
+      res.json({ ok: true });
+    });
+
+    this._subscribe();
+  }
+
+  overview() {
+    const gateway = this.gateway;
+    return {
+      status: gateway.getStatus(),
+      sessions: gateway.listSessions({ limit: 100 }),
+      approvals: gateway.approvals?.listPending().map(describePending) || [],
+      tasks: gateway.scheduler?.list() || [],
+    };
+  }
+
+  stop() {
+    for (const res of this.streams) res.end();
+    this.streams.clear();
+    for (const [event, handler] of this.listeners) this.gateway?.off(event, handler);
+    this.listeners = [];
+  }
+
+  // One set of gateway listeners, fanned out to every open dashboard
+  _subscribe() {
+    if (this.listeners.length || !this.gateway) return;
+    for (const event of FEED_EVENTS) {
+      const handler = (data) => {
+        for (const res of this.streams) sendEvent(res, event, data);
+      };
+      this.gateway.on(event, handler);
+      this.listeners.push([event, handler]);
+    }
+  }
+}
+
+// Express 4 doesn't catch rejected promises — pass them on to the error handler
+function route(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const ADMIN_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Empli Gateway — Admin</title>
+<style>
+  * { margin:0; padding:0; box-sizing:border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+         background: #0a0a0a; color: #e0e0e0; min-height: 100vh; font-size: 14px; }
+  .header { padding: 16px 24px; border-bottom: 1px solid #222; display: flex; align-items: center; gap: 12px; }
+  .header h1 { font-size: 18px; font-weight: 600; }
+  .header .dot { width: 8px; height: 8px; background: #555; border-radius: 50%; }
+  .header .dot.live { background: #22c55e; }
+  .header .meta { margin-left: auto; color: #888; font-size: 12px; }
+  .grid { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 16px; padding: 16px 24px; }
+  .col { display: flex; flex-direction: column; gap: 16px; min-width: 0; }
+  .card { background: #111; border: 1px solid #222; border-radius: 10px; padding: 16px; }
+  .card h2 { font-size: 13px; font-weight: 600; color: #aaa; text-transform: uppercase; letter-spacing: .05em; margin-bottom: 12px; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { text-align: left; padding: 6px 8px; border-bottom: 1px solid #1c1c1c; vertical-align: top; }
+  th { color: #777; font-weight: 500; font-size: 12px; }
+  .empty { color: #666; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 999px; font-size: 12px; background: #262626; }
+  .badge.connected, .badge.closed { background: #14532d; color: #bbf7d0; }
+  .badge.connecting, .badge.half_open { background: #713f12; color: #fde68a; }
+  .badge.error, .badge.open, .badge.stopped, .badge.disabled { background: #450a0a; color: #fecaca; }
+  button { background: #262626; color: white; border: 1px solid #444; border-radius: 6px;
+           padding: 4px 10px; cursor: pointer; font-size: 12px; }
+  button:hover { border-color: #1d4ed8; }
+  button:disabled { opacity: 0.5; cursor: not-allowed; }
+  .feed { display: flex; flex-direction: column; gap: 8px; max-height: calc(100vh - 120px); overflow-y: auto; }
+  .event { border-left: 3px solid #333; padding: 4px 10px; white-space: pre-wrap; word-break: break-word; }
+  .event .when { color: #666; font-size: 11px; }
+  .event.message { border-color: #1d4ed8; }
+  .event.reply { border-color: #22c55e; }
+  .event.outbound { border-color: #a855f7; }
+  .event.approval_request, .event.approval_settled { border-color: #eab308; }
+  .event.channel { border-color: #888; }
+  .event.failed { border-color: #ef4444; }
+  .notice { padding: 12px 24px; background: #450a0a; color: #fecaca; display: none; }
+  code { color: #93c5fd; }
+</style>
+</head>
+<body>
+  <div class="header"><div class="dot" id="dot"></div><h1>Empli Gateway — Admin</h1><div class="meta" id="meta"></div></div>
+  <div class="notice" id="notice"></div>
+  <div class="grid">
+    <div class="col">
+      <div class="card"><h2>Channels</h2><div id="channels"></div></div>
+      <div class="card"><h2>Pending approvals</h2><div id="approvals"></div></div>
+      <div class="card"><h2>Sessions</h2><div id="sessions"></div></div>
+      <div class="card"><h2>Scheduled tasks</h2><div id="tasks"></div></div>
+      <div class="card"><h2>Agent endpoints</h2><div id="endpoints"></div></div>
+    </div>
+    <div class="col">
+      <div class="card"><h2>Live feed</h2><div class="feed" id="feed"><div class="empty">Waiting for activity…</div></div></div>
+    </div>
+  </div>
+<script>
+const $ = (id) => document.getElementById(id);
+
+// Admin API key: ?key=... once, then remembered (shared with the chat UI)
+const params = new URLSearchParams(location.search);
+if (params.get('key')) {
+  localStorage.setItem('empliKey', params.get('key'));
+  history.replaceState(null, '', location.pathname);
+}
+
+async function api(path, opts = {}) {
+  const key = localStorage.getItem('empliKey');
+  const headers = { ...(opts.headers || {}), ...(key ? { Authorization: 'Bearer ' + key } : {}) };
+  const res = await fetch(path, { ...opts, headers });
+  if (res.status === 401 || res.status === 403) {
+    const entered = prompt(res.status === 403 ? 'This key lacks the admin scope. Admin API key:' : 'Admin API key:');
+    if (entered) {
+      localStorage.setItem('empliKey', entered.trim());
+      return api(path, opts);
+    }
+    notice('An API key with the "admin" scope is required. Create one with: empli apikey create admin --scopes admin');
+  }
+  return res;
+}
+
+function post(path, body) {
+  return api(path, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify(body || {}) });
+}
+
+function notice(text) {
+  $('notice').textContent = text;
+  $('notice').style.display = text ? 'block' : 'none';
+}
+
+function el(tag, props, ...children) {
+  const node = document.createElement(tag);
+  Object.assign(node, props || {});
+  for (const child of children) {
+    if (child != null) node.append(child);
+  }
+  return node;
+}
+
+function table(headings, rows, emptyText) {
+  if (!rows.length) return el('div', { className: 'empty', textContent: emptyText });
+  return el('table', null,
+    el('tr', null, ...headings.map(h => el('th', { textContent: h }))),
+    ...rows.map(cells => el('tr', null, ...cells.map(c => el('td', null, c)))));
+}
+
+const badge = (text) => el('span', { className: 'badge ' + text, textContent: text });
+const when = (t) => t ? new Date(t).toLocaleString() : '—';
+
+// ── Overview ──
+
+async function refresh() {
+  try {
+    const res = await api('/admin/api/overview');
+    if (!res.ok) return;
+    render(await res.json());
+    notice('');
+  } catch(e) {
+    notice('Gateway unreachable: ' + e.message);
+  }
+}
+
+let timer = null;
+function refreshSoon() {
+  clearTimeout(timer);
+  timer = setTimeout(refresh, 300);
+}
+
+function render({ status, sessions, approvals, tasks }) {
+  $('meta').textContent = status.activeSessions + ' active session(s) · store: ' + status.sessionStore + ' · ' + status.dataDir;
+
+  $('channels').replaceChildren(table(['Channel', 'Status', 'Endpoint', ''],
+    Object.entries(status.channels).map(([name, ch]) => {
+      const action = ch.enabled ? 'disable' : 'enable';
+      const toggle = el('button', { textContent: ch.enabled ? 'Disable' : 'Enable', disabled: name === 'webchat' });
+      toggle.onclick = async () => {
+        toggle.disabled = true;
+        const res = await post('/admin/api/channels/' + encodeURIComponent(name) + '/' + action);
+        if (!res.ok) alert((await res.json()).error || res.statusText);
+        refresh();
+      };
+      return [name, badge(ch.enabled ? ch.status : 'disabled'), el('code', { textContent: ch.endpoint || '—' }), toggle];
+    }), 'No channels registered'));
+
+  $('approvals').replaceChildren(table(['Chat', 'Action', 'Expires', ''],
+    approvals.map(a => {
+      const bar = el('div');
+      for (const [label, decision] of [['Approve', 'approve'], ['Always', 'always'], ['Deny', 'deny']]) {
+        const b = el('button', { textContent: label });
+        b.onclick = () => post('/admin/api/approvals/' + a.id, { decision }).then(refreshSoon);
+        bar.append(b, ' ');
+      }
+      return [a.channel + ':' + a.chatId, a.description, when(a.expiresAt), bar];
+    }), 'Nothing waiting for approval'));
+
+  $('sessions').replaceChildren(table(['Session', 'Messages', 'Last activity', ''],
+    sessions.sessions.map(s => [
+      s.sessionKey,
+      String(s.messages),
+      when(s.lastActivity),
+      s.active ? badge('active') : '',
+    ]), 'No conversations yet'));
+
+  $('tasks').replaceChildren(table(['Task', 'Schedule', 'Target', 'Last run'],
+    tasks.map(t => [
+      t.name,
+      t.schedule + (t.oneShot ? ' (once)' : ''),
+      t.channel ? t.channel + ':' + t.chatId : '—',
+      t.lastRun ? el('span', null, badge(t.lastRun.status), ' ' + when(t.lastRun.finishedAt || t.lastRun.startedAt)) : '—',
+    ]), 'No scheduled tasks'));
+
+  $('endpoints').replaceChildren(table(['Endpoint', 'Breaker', 'Last error'],
+    Object.entries(status.endpoints || {}).map(([url, b]) => [el('code', { textContent: url }), badge(b.state), b.lastError || '—']),
+    'No agent calls yet'));
+}
+
+// ── Live feed ──
+
+const describe = {
+  message: (e) => '← ' + e.sessionKey + ' ' + (e.sender || '') + ': ' + e.text + files(e),
+  reply: (e) => e.error ? '✗ ' + e.sessionKey + ': agent unavailable' : '→ ' + e.sessionKey + ': ' + e.text + files(e),
+  outbound: (e) => '⇢ ' + e.sessionKey + ' (outbound): ' + e.text + files(e),
+  approval_request: (e) => '⚠️ ' + e.channel + ':' + e.chatId + ' needs approval\\n' + e.description,
+  approval_settled: (e) => '⚠️ ' + e.channel + ':' + e.chatId + ' ' + e.decision + '\\n' + e.description,
+  channel: (e) => (e.enabled ? '▶ ' : '■ ') + e.name + (e.removed ? ' removed' : e.enabled ? ' enabled' : ' disabled') + (e.error ? ' — failed: ' + e.error : ''),
+};
+
+function files(e) {
+  return e.attachments?.length ? ' [+' + e.attachments.length + ' attachment(s)]' : '';
+}
+
+function addEvent(type, e) {
+  const feed = $('feed');
+  if (feed.firstChild?.className === 'empty') feed.replaceChildren();
+  const failed = e.error && type !== 'message';
+  feed.prepend(el('div', { className: 'event ' + type + (failed ? ' failed' : '') },
+    el('div', { className: 'when', textContent: when(e.timestamp || Date.now()) }),
+    describe[type](e)));
+  while (feed.children.length > 200) feed.lastChild.remove();
+}
+
+// Server-Sent Events read with fetch (EventSource can't send the API key header)
+async function listen() {
+  try {
+    const res = await api('/admin/api/events');
+    if (!res.ok) throw new Error(res.statusText);
+    $('dot').className = 'dot live';
+    refresh();
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\\n\\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        let type = 'message';
+        let data = '';
+        for (const line of block.split('\\n')) {
+          if (line.startsWith('event: ')) type = line.slice(7);
+          else if (line.startsWith('data: ')) data += line.slice(6);
+        }
+        if (!data || !describe[type]) continue;
+        addEvent(type, JSON.parse(data));
+        refreshSoon();
+      }
+    }
+  } catch(e) {}
+  $('dot').className = 'dot';
+  setTimeout(listen, 3000);
+}
+
+listen();
+setInterval(refresh, 10000);
+</script>
+</body>
+</html>`;
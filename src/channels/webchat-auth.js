@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════
+// WebChat Auth — API keys with scopes, per-key rate limits, CORS
+// Keys: channels.webchat.apiKeys = [{ name, key, scopes, rateLimit }]
+// Site keys (public, for /widget.js): channels.webchat.siteKeys = [{ name, key, origins, rateLimit }]
+// ═══════════════════════════════════════════════════════════════
+
+import crypto from 'crypto';
+
+// chat     — talk to the agent (/chat, /events, /messages, /approvals, /media)
+// status   — redacted /status
+// sessions — read and manage every channel's conversation history (/sessions)
+// metrics  — Prometheus /metrics
+// admin    — all of the above, plus full /status, /send to any channel and /admin
+export const SCOPES = ['chat', 'status', 'sessions', 'metrics', 'admin'];
+
+export class WebChatAuth {
+  constructor(config = {}) {
+    this.buckets = new Map();  // key name or client IP → { tokens, updatedAt }
+    this.configure(config);
+  }
+
+  // Also called on config reload — rate limit buckets carry over
+  configure(config = {}) {
+    this.keys = (config.apiKeys || [])
+      .filter(k => k?.key)
+      .map(k => ({
+        name: k.name || k.key.slice(0, 6),
+        hash: hashKey(k.key),
+        scopes: k.scopes?.length ? k.scopes : ['chat'],
+        rateLimit: k.rateLimit ?? config.rateLimit ?? 60,
+      }));
+    // Site keys are embedded in web pages, so they only chat, only from their origins,
+    // are rate limited per visitor IP and get their own user id namespace
+    this.siteKeys = (config.siteKeys || [])
+      .filter(k => k?.key)
+      .map(k => ({
+        name: k.name || k.key.slice(0, 6),
+        hash: hashKey(k.key),
+        scopes: ['chat'],
+        rateLimit: k.rateLimit ?? config.rateLimit ?? 60,
+        origins: normalizeOrigins(k.origins),
+        site: true,
+      }));
+    this.enabled = this.keys.length > 0;
+    this.defaultRateLimit = config.rateLimit ?? 60;    // requests per minute; 0 = unlimited
+    this.origins = normalizeOrigins(config.cors?.origins);
+  }
+
+  // CORS headers + preflight. Nothing is sent unless origins are configured.
+  cors = (req, res, next) => {
+    const origin = req.headers.origin;
+    const siteOrigin = origin && this.siteKeys.some(k => allowsOrigin(k.origins, origin));
+    if (origin && (siteOrigin || allowsOrigin(this.origins, origin))) {
+      res.setHeader('Access-Control-Allow-Origin', this.origins.includes('*') && !siteOrigin ? '*' : origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-API-Key');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Max-Age', '600');
+    }
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  };
+
+  // Middleware: authenticate, check scope, rate limit. Sets req.auth = { name, scopes }
+  require(scope) {
+    return (req, res, next) => {
+      const auth = this.authenticate(req);
+      if (!auth) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'missing or invalid API key' });
+      }
+      if (!auth.scopes.includes(scope) && !auth.scopes.includes('admin')) {
+        return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+      }
+      if (auth.site && !allowsOrigin(auth.origins, req.headers.origin)) {
+        return res.status(403).json({ error: 'origin not allowed for this site key' });
+      }
+
+      const retryAfter = this._take(auth.site ? `${auth.name}@${req.ip}` : auth.name, auth.rateLimit);
+      if (retryAfter) {
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'rate limit exceeded' });
+      }
+
+      req.auth = auth;
+      next();
+    };
+  }
+
+  // Without configured API keys everything is allowed except admin, limited per client IP.
+  // Site keys are honored either way.
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const presented = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+    const hash = presented ? hashKey(presented) : null;
+
+    const site = hash && this.siteKeys.find(k => crypto.timingSafeEqual(k.hash, hash));
+    if (site) {
+      return { name: site.name, scopes: site.scopes, rateLimit: site.rateLimit, site: true, origins: site.origins };
+    }
+    if (!this.enabled) {
+      return { name: `ip:${req.ip}`, scopes: ['chat', 'status', 'metrics'], rateLimit: this.defaultRateLimit };
+    }
+    if (!hash) return null;
+
+    const match = this.keys.find(k => crypto.timingSafeEqual(k.hash, hash));
+    return match ? { name: match.name, scopes: match.scopes, rateLimit: match.rateLimit } : null;
+  }
+
+  // Token bucket: rateLimit requests per minute, refilled continuously.
+  // Returns 0 if allowed, otherwise seconds until the next request is.
+  _take(name, rateLimit) {
+    if (!rateLimit) return 0;
+    const now = Date.now();
+    if (this.buckets.size > 10000) this._prune(now);
+    const bucket = this.buckets.get(name) || { tokens: rateLimit, updatedAt: now };
+    bucket.tokens = Math.min(rateLimit, bucket.tokens + ((now - bucket.updatedAt) / 60000) * rateLimit);
+    bucket.updatedAt = now;
+    this.buckets.set(name, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil(((1 - bucket.tokens) / rateLimit) * 60);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  // Idle buckets are full again anyway — forget them
+  _prune(now) {
+    for (const [name, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > 60000) this.buckets.delete(name);
+    }
+  }
+}
+
+export function generateApiKey() {
+  return `empli_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+function allowsOrigin(origins, origin) {
+  return origins.includes('*') || (!!origin && origins.includes(origin));
+}
+
+function normalizeOrigins(origins) {
+  if (!origins) return [];
+  return Array.isArray(origins) ? origins : [origins];
+}
@@ -0,0 +1,167 @@
+// ═══════════════════════════════════════════════════════════════
+// WebChat Widget — GET /widget.js, a floating chat bubble for any website
+// Talks to /chat with a site key (channels.webchat.siteKeys); each visitor
+// keeps their own session via an id in localStorage.
+// ═══════════════════════════════════════════════════════════════
+
+export const WIDGET_JS = `(() => {
+  const script = document.currentScript;
+  if (!script || window.__empliWidget) return;
+  window.__empliWidget = true;
+
+  // <script src="https://gateway.example.com/widget.js" data-site-key="..." data-title="Ask us"
+  //         data-color="#1d4ed8" data-position="right" data-greeting="Hi! How can we help?"
+  //         data-placeholder="Type a message..." data-open="false"></script>
+  const base = script.src.replace(/\\/widget\\.js(?:\\?.*)?$/, '');
+  const opts = script.dataset;
+  const siteKey = opts.siteKey || '';
+  const title = opts.title || 'Chat with us';
+  const position = opts.position === 'left' ? 'left' : 'right';
+
+  // One visitor id per browser and site key — the visitor's session on the gateway
+  const storageKey = 'empliVisitor:' + siteKey;
+  let visitor = null;
+  try { visitor = localStorage.getItem(storageKey); } catch (e) {}
+  if (!visitor) {
+    visitor = [...crypto.getRandomValues(new Uint8Array(12))].map(b => b.toString(16).padStart(2, '0')).join('');
+    try { localStorage.setItem(storageKey, visitor); } catch (e) {}
+  }
+
+  const host = document.createElement('div');
+  host.style.setProperty('--accent', opts.color || '#1d4ed8');
+  const root = host.attachShadow({ mode: 'open' });
+  root.innerHTML = \`
+<style>
+  :host { all: initial; }
+  * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  .bubble { position: fixed; bottom: 20px; \${position}: 20px; z-index: 2147483000; width: 56px; height: 56px;
+            border-radius: 50%; border: none; background: var(--accent); color: white; font-size: 26px;
+            cursor: pointer; box-shadow: 0 4px 16px rgba(0,0,0,.25); }
+  .panel { position: fixed; bottom: 88px; \${position}: 20px; z-index: 2147483000; width: 360px; height: 520px;
+           max-width: calc(100vw - 40px); max-height: calc(100vh - 110px); display: none; flex-direction: column;
+           background: white; color: #111; border-radius: 14px; overflow: hidden; box-shadow: 0 8px 32px rgba(0,0,0,.25); }
+  .panel.open { display: flex; }
+  .head { background: var(--accent); color: white; padding: 14px 16px; display: flex; align-items: center; font-size: 15px; font-weight: 600; }
+  .head span { flex: 1; }
+  .head button { background: none; border: none; color: white; font-size: 20px; cursor: pointer; line-height: 1; }
+  .msgs { flex: 1; overflow-y: auto; padding: 14px; display: flex; flex-direction: column; gap: 8px; background: #f7f7f8; }
+  .msg { max-width: 85%; padding: 9px 12px; border-radius: 12px; font-size: 14px; line-height: 1.45;
+         white-space: pre-wrap; word-wrap: break-word; }
+  .msg.user { align-self: flex-end; background: var(--accent); color: white; border-bottom-right-radius: 4px; }
+  .msg.bot { align-self: flex-start; background: white; border: 1px solid #e5e5e5; border-bottom-left-radius: 4px; }
+  .msg.typing { opacity: .6; }
+  form { display: flex; gap: 8px; padding: 10px; border-top: 1px solid #eee; background: white; }
+  input { flex: 1; border: 1px solid #ddd; border-radius: 8px; padding: 10px 12px; font-size: 14px; outline: none; color: #111; }
+  input:focus { border-color: var(--accent); }
+  form button { border: none; border-radius: 8px; background: var(--accent); color: white; padding: 0 14px; font-size: 14px; cursor: pointer; }
+  form button:disabled { opacity: .5; cursor: default; }
+</style>
+<div class="panel" part="panel">
+  <div class="head"><span></span><button type="button" title="Close">×</button></div>
+  <div class="msgs"></div>
+  <form><input type="text" autocomplete="off" /><button type="submit">Send</button></form>
+</div>
+<button class="bubble" part="bubble" title="">💬</button>\`;
+
+  const panel = root.querySelector('.panel');
+  const msgs = root.querySelector('.msgs');
+  const form = root.querySelector('form');
+  const input = root.querySelector('input');
+  const sendBtn = form.querySelector('button');
+  const bubble = root.querySelector('.bubble');
+  root.querySelector('.head span').textContent = title;
+  bubble.title = title;
+  input.placeholder = opts.placeholder || 'Type a message...';
+
+  const headers = (extra) => ({ ...extra, ...(siteKey ? { Authorization: 'Bearer ' + siteKey } : {}) });
+  let loaded = false;
+
+  function addMsg(text, cls) {
+    const div = document.createElement('div');
+    div.className = 'msg ' + cls;
+    div.textContent = text;
+    msgs.appendChild(div);
+    msgs.scrollTop = msgs.scrollHeight;
+    return div;
+  }
+
+  async function loadHistory() {
+    loaded = true;
+    try {
+      const res = await fetch(base + '/conversations/default/messages?limit=50&user_id=' + visitor, { headers: headers() });
+      if (res.ok) {
+        for (const m of (await res.json()).messages) {
+          if (m.content) addMsg(m.content, m.role === 'user' ? 'user' : 'bot');
+        }
+      }
+    } catch (e) {}
+    if (!msgs.children.length && opts.greeting) addMsg(opts.greeting, 'bot');
+  }
+
+  function toggle(open) {
+    panel.classList.toggle('open', open);
+    bubble.textContent = open ? '×' : '💬';
+    if (open) {
+      if (!loaded) loadHistory();
+      input.focus();
+    }
+  }
+
+  bubble.onclick = () => toggle(!panel.classList.contains('open'));
+  root.querySelector('.head button').onclick = () => toggle(false);
+
+  // Replies stream back as NDJSON: { type: 'partial', text } lines, then { type: 'done', reply }
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    sendBtn.disabled = true;
+    addMsg(text, 'user');
+    const reply = addMsg('…', 'bot typing');
+    try {
+      const res = await fetch(base + '/chat', {
+        method: 'POST',
+        headers: headers({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ message: text, user_id: visitor, chat_name: location.hostname, stream: true }),
+      });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const event = JSON.parse(line);
+          if (event.type === 'partial') {
+            reply.className = 'msg bot';
+            reply.textContent = event.text;
+          } else if (event.type === 'done') {
+            reply.className = 'msg bot';
+            reply.textContent = event.reply || 'Sorry, no answer this time.';
+          } else if (event.type === 'error') {
+            throw new Error(event.error);
+          }
+        }
+        msgs.scrollTop = msgs.scrollHeight;
+      }
+    } catch (err) {
+      reply.className = 'msg bot';
+      reply.textContent = 'Something went wrong: ' + err.message;
+    }
+    sendBtn.disabled = false;
+    input.focus();
+  };
+
+  const mount = () => {
+    document.body.appendChild(host);
+    if (opts.open === 'true') toggle(true);
+  };
+  if (document.body) mount();
+  else document.addEventListener('DOMContentLoaded', mount);
+})();`;
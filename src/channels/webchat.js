@@ -3,69 +3,576 @@
 // Always-on local endpoint for testing and custom integrations
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import { BaseChannel, normalizeContent } from './base.js';
+import { WebChatAuth } from './webchat-auth.js';
+import { AdminDashboard } from './webchat-admin.js';
+import { WIDGET_JS } from './webchat-widget.js';
 import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 
 export class WebChatChannel extends BaseChannel {
+  static liveKeys = [...BaseChannel.liveKeys, 'apiKeys', 'siteKeys', 'rateLimit', 'cors'];
+
   constructor(config = {}) {
     super('webchat', config);
     this.app = null;
     this.server = null;
+    this.auth = new WebChatAuth(config);
+    this.admin = new AdminDashboard(this);
+    this.approvals = new Map();  // approvalId → { id, chatId, description, toolName, expiresAt }
+    this.outbox = new Map();     // chatId → [{ text, attachments, timestamp }] waiting to be fetched
+    this.subscribers = new Map(); // chatId → Set of /events responses
+    this.mediaOwners = null;     // media file name → WebChat user it was sent to or by
   }
 
   async start() {
     const port = this.config.port || 3456;
+    const host = this.config.host || undefined;   // e.g. '127.0.0.1' for localhost only
+    const auth = this.auth;
+    this.mediaOwners = this._readMediaOwners();
 
     this.app = express();
-    this.app.use(express.json());
+    if (this.config.trustProxy) this.app.set('trust proxy', this.config.trustProxy);
+    this.app.use(auth.cors);
+    // Bodies are parsed only once the key checks out; routes that take base64 attachments get bodyLimit
+    const json = express.json({ limit: '100kb' });
+    const jsonUploads = express.json({ limit: this.config.bodyLimit || '10mb' });
 
     // ── API: POST /chat ──
-    this.app.post('/chat', async (req, res) => {
-      const { message, user_id, chat_name } = req.body;
-      if (!message) {
-        return res.status(400).json({ error: 'message required' });
-      }
-
-      const userId = user_id || 'web_user';
-      const result = await this.onMessage({
-        chatId: `web_${userId}`,
-        chatName: chat_name || 'WebChat',
-        sender: userId,
-        text: message,
+    // attachments: [{ filename, mimeType, data (base64) }]
+    // With { stream: true } the response is NDJSON: { type: 'partial', text } lines
+    // while the agent answers, then { type: 'done', reply, attachments, sessionKey }.
+    // With { async: true } it returns 202 right away and the reply arrives on /events.
+    // user_id (default: the browser's cookie, else "web_user") and conversation_id pick the session.
+    this.app.post('/chat', auth.require('chat'), jsonUploads, route(async (req, res) => {
+      const { message, user_name, chat_name, stream, client_id } = req.body;
+      const uploads = Array.isArray(req.body.attachments) ? req.body.attachments : [];
+      if (!message && !uploads.length) {
+        return res.status(400).json({ error: 'message or attachments required' });
+      }
+      const target = this._target(req, res);
+      if (!target) return;
+
+      const attachments = [];
+      for (const upload of uploads) {
+        if (!upload?.data) continue;
+        const attachment = await this.saveAttachment(Buffer.from(upload.data, 'base64'), {
+          filename: upload.filename,
+          mimeType: upload.mimeType,
+        });
+        if (!attachment) {
+          return res.status(413).json({ error: `couldn't store ${upload.filename || 'attachment'}` });
+        }
+        attachments.push(attachment);
+      }
+
+      const { userId, chatId } = target;
+      const requestId = client_id || crypto.randomBytes(6).toString('hex');
+      const write = (event) => res.write(JSON.stringify(event) + '\n');
+
+      if (req.body.async) {
+        res.status(202).json({ accepted: true, requestId });
+      } else if (stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.flushHeaders();
+      }
+
+      this._emit(chatId, 'message', {
+        requestId,
+        role: 'user',
+        text: message || '',
+        attachments: await this._publish(attachments, chatId),
         timestamp: Date.now(),
       });
+      this._emit(chatId, 'typing', { requestId });
+
+      let result;
+      try {
+        result = await this.onMessage({
+          chatId,
+          chatName: chat_name || 'WebChat',
+          sender: user_name || userId,
+          senderId: this._approverId(req),
+          text: message || '',
+          attachments,
+          timestamp: Date.now(),
+          onPartial: (text, delta) => {
+            this._emit(chatId, 'partial', { requestId, text, delta });
+            if (stream && !req.body.async) write({ type: 'partial', text, delta });
+          },
+        });
+      } catch (err) {
+        this.log.error('Error handling message', { error: err.message });
+        this._emit(chatId, 'error', { requestId, error: err.message });
+        if (req.body.async) return;
+        if (stream) {
+          write({ type: 'error', error: err.message });
+          return res.end();
+        }
+        return res.status(500).json({ error: err.message });
+      }
 
-      res.json({
+      const done = {
         reply: result?.reply || null,
+        attachments: await this._publish(result?.attachments, chatId),
         sessionKey: result?.sessionKey || null,
+        ...(result?.error ? { error: true } : {}),
+      };
+      const delivered = this._emit(chatId, 'done', { requestId, ...done });
+
+      if (req.body.async) {
+        // Nobody listening (e.g. the page reconnecting) — keep the reply for later
+        if (!delivered && (done.reply || done.attachments.length)) {
+          this._queue(chatId, { text: done.reply || '', attachments: done.attachments, timestamp: Date.now() });
+        }
+        return;
+      }
+      if (stream) {
+        write({ type: 'done', ...done });
+        return res.end();
+      }
+      res.json(done);
+    }));
+
+    // ── API: GET /events?user_id=&conversation_id= ── Server-Sent Events for one chat:
+    // message, typing, partial, done, error, approval_request, approval_settled
+    this.app.get('/events', auth.require('chat'), (req, res) => {
+      const { chatId } = this._target(req, res) || {};
+      if (!chatId) return;
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+      res.write('retry: 3000\n\n');
+
+      const subs = this.subscribers.get(chatId) || new Set();
+      subs.add(res);
+      this.subscribers.set(chatId, subs);
+
+      // Catch up on what happened while nobody was listening.
+      // replay=0: the client loads /conversations history instead, so just drop the queue.
+      if (req.query.replay !== '0') {
+        for (const queued of this.outbox.get(chatId) || []) {
+          sendEvent(res, 'message', { role: 'assistant', ...queued });
+        }
+      }
+      this.outbox.delete(chatId);
+      for (const approval of this.approvals.values()) {
+        if (approval.chatId === chatId) sendEvent(res, 'approval_request', approval);
+      }
+
+      // Comments keep proxies from closing an idle stream
+      const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        subs.delete(res);
+        if (!subs.size) this.subscribers.delete(chatId);
       });
     });
 
-    // ── API: GET /status ──
-    this.app.get('/status', (req, res) => {
-      res.json(this.gateway?.getStatus() || { error: 'no gateway' });
+    // ── API: GET /media/:file?user_id= ── (attachments stored for WebChat)
+    // Only for the user whose chat the file was sent in (admin keys can fetch any)
+    this.app.get('/media/:file', auth.require('chat'), (req, res) => {
+      const userId = this._user(req, res);
+      if (!userId) return;
+      const file = path.basename(req.params.file);
+      const filePath = path.join(this.gateway.media.channelDir(this.name), file);
+      const allowed = this.mediaOwners[file] === userId || req.auth.scopes.includes('admin');
+      if (!allowed || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'not found' });
+      }
+      res.sendFile(filePath);
     });
 
+    // ── API: GET /messages?user_id=&conversation_id= ── (proactive messages, drained on read)
+    this.app.get('/messages', auth.require('chat'), (req, res) => {
+      const { chatId } = this._target(req, res) || {};
+      if (!chatId) return;
+      const messages = this.outbox.get(chatId) || [];
+      this.outbox.delete(chatId);
+      res.json({ messages });
+    });
+
+    // ── API: POST /send ── { channel?, chatId?, user_id?, conversation_id?, text, attachments? }
+    // Push a message to any channel's chat (defaults to a WebChat user).
+    // attachments take the same { filename, mimeType, data | url } shape as agent replies
+    this.app.post('/send', auth.require('admin'), jsonUploads, route(async (req, res) => {
+      const { channel, chatId, text, attachments } = req.body;
+      if (!text && !attachments?.length) {
+        return res.status(400).json({ error: 'text or attachments required' });
+      }
+      const target = channel || this.name;
+      let targetChat = chatId;
+      if (!targetChat && target === this.name) {
+        targetChat = this._target(req, res)?.chatId;
+        if (!targetChat) return;
+      }
+      if (!targetChat) {
+        return res.status(400).json({ error: 'chatId required' });
+      }
+      if (!this.gateway?.channels.has(target)) {
+        return res.status(404).json({ error: `unknown channel: ${target}` });
+      }
+
+      try {
+        // Never { path } from HTTP callers — that would expose local files
+        const files = (attachments || [])
+          .filter(a => a?.data || a?.url)
+          .map(({ filename, mimeType, type, data, url }) => ({ filename, mimeType, type, data, url }));
+        await this.gateway.sendTo(target, targetChat, files.length ? { text, attachments: files } : text);
+        res.json({ ok: true, channel: target, chatId: targetChat });
+      } catch (err) {
+        res.status(502).json({ error: err.message });
+      }
+    }));
+
+    // ── API: GET /approvals?user_id=&conversation_id= ── (pending tool approvals for a chat)
+    this.app.get('/approvals', auth.require('chat'), (req, res) => {
+      const { chatId } = this._target(req, res) || {};
+      if (!chatId) return;
+      const approvals = [...this.approvals.values()].filter(a => a.chatId === chatId);
+      res.json({ approvals });
+    });
+
+    // ── API: POST /approvals/:id ── { decision: approve|always|deny }
+    // Decided as "apikey:<key name>", which has to be in tools.approvers
+    this.app.post('/approvals/:id', auth.require('chat'), json, (req, res) => {
+      const { decision } = req.body;
+      const approverId = this._approverId(req);
+      if (!approverId) {
+        return res.status(403).json({ error: 'approving tool calls needs an API key' });
+      }
+      const ok = this.gateway?.approvals?.resolve(req.params.id, decision, approverId);
+      if (!ok) {
+        return res.status(404).json({ error: 'approval not found, expired, or not allowed' });
+      }
+      res.json({ ok: true });
+    });
+
+    // ── API: /conversations?user_id= ── one WebChat user's own conversations.
+    // "default" is the chat used when no conversation_id is given.
+    this.app.get('/conversations', auth.require('chat'), (req, res) => {
+      const userId = this._user(req, res);
+      if (!userId) return;
+      const base = `web_${userId}`;
+      const { sessions } = this.gateway.listSessions({ channel: this.name, limit: Infinity });
+      const conversations = sessions
+        .filter(s => s.chatId === base || (s.chatId.startsWith(`${base}~`) && CONVERSATION_ID.test(s.chatId.slice(base.length + 1))))
+        .map(s => ({
+          id: s.chatId === base ? 'default' : s.chatId.slice(base.length + 1),
+          title: this._title(s.sessionKey, s.messages),
+          messages: s.messages,
+          lastActivity: s.lastActivity,
+        }))
+        .sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+      res.json({ conversations });
+    });
+
+    // ── API: GET /conversations/:id/messages?user_id=&limit=&offset= ──
+    this.app.get('/conversations/:id/messages', auth.require('chat'), (req, res) => {
+      const target = this._target(req, res, req.params.id);
+      if (!target) return;
+      const page = this.gateway.getSessionMessages(`${this.name}:${target.chatId}`, paging(req.query));
+      const dir = this.gateway.media.channelDir(this.name);
+      // Stored attachments carry local paths — hand out /media URLs instead. Files from before
+      // owners were recorded go to the user whose history they're in.
+      page.messages = page.messages.map(({ attachments, ...message }) => ({
+        ...message,
+        attachments: (attachments || []).map(({ path: filePath, ...meta }) => {
+          if (!filePath || path.dirname(filePath) !== dir) return { ...meta, url: null };
+          const file = path.basename(filePath);
+          if (!this.mediaOwners[file]) this._ownMedia(file, target.userId);
+          return { ...meta, url: `/media/${encodeURIComponent(file)}` };
+        }),
+      }));
+      res.json({ conversationId: req.params.id, ...page });
+    });
+
+    // ── API: DELETE /conversations/:id?user_id= ──
+    this.app.delete('/conversations/:id', auth.require('chat'), route(async (req, res) => {
+      const target = this._target(req, res, req.params.id);
+      if (!target) return;
+      const deleted = await this.gateway.deleteSession(`${this.name}:${target.chatId}`);
+      if (!deleted) {
+        return res.status(404).json({ error: 'conversation not found' });
+      }
+      this.outbox.delete(target.chatId);
+      res.json({ ok: true });
+    }));
+
+    // ── API: /sessions ── conversation history across all channels
+    // Session keys look like "telegram:12345" — URL-encode them
+    this.app.get('/sessions', auth.require('sessions'), (req, res) => {
+      res.json(this.gateway.listSessions({
+        channel: req.query.channel,
+        ...paging(req.query),
+      }));
+    });
+
+    // ── API: GET /sessions/search?q=&channel=&sender=&since=&until= ──
+    this.app.get('/sessions/search', auth.require('sessions'), (req, res) => {
+      const { q, channel, sender, role, since, until } = req.query;
+      const { limit } = paging(req.query);
+      res.json({ results: this.gateway.searchSessions({ text: q, channel, sender, role, since, until, limit }) });
+    });
+
+    // ── API: GET /sessions/:key/messages?limit=&offset= ── (offset counts back from the newest)
+    this.app.get('/sessions/:key/messages', auth.require('sessions'), (req, res) => {
+      const page = this.gateway.getSessionMessages(req.params.key, paging(req.query));
+      if (!page.total) {
+        return res.status(404).json({ error: 'session not found' });
+      }
+      res.json(page);
+    });
+
+    // ── API: POST /sessions/:key/reset ── (fresh context for the agent, archive kept)
+    this.app.post('/sessions/:key/reset', auth.require('sessions'), route(async (req, res) => {
+      const reset = await this.gateway.resetSession(req.params.key);
+      if (!reset) {
+        return res.status(404).json({ error: 'session not found' });
+      }
+      res.json({ ok: true });
+    }));
+
+    // ── API: DELETE /sessions/:key ── (removes the archive too)
+    this.app.delete('/sessions/:key', auth.require('sessions'), route(async (req, res) => {
+      const deleted = await this.gateway.deleteSession(req.params.key);
+      if (!deleted) {
+        return res.status(404).json({ error: 'session not found' });
+      }
+      res.json({ ok: true });
+    }));
+
+    // ── API: GET /status ── (endpoints, paths and breaker details need the admin scope)
+    this.app.get('/status', auth.require('status'), (req, res) => {
+      const redacted = !req.auth.scopes.includes('admin');
+      res.json(this.gateway?.getStatus({ redacted }) || { error: 'no gateway' });
+    });
+
+    // ── Prometheus: GET /metrics ──
+    if (this.config.metrics !== false) {
+      this.app.get('/metrics', auth.require('metrics'), (req, res) => {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(this.gateway?.metrics.render() || '');
+      });
+    }
+
     // ── API: GET /health ──
     this.app.get('/health', (req, res) => {
       res.json({ ok: true, uptime: process.uptime() });
     });
 
-    // ── Simple Web UI ──
+    // ── Embeddable widget: <script src=".../widget.js" data-site-key="..."> ──
+    this.app.get('/widget.js', (req, res) => {
+      res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.send(WIDGET_JS);
+    });
+
+    // ── Admin dashboard: GET /admin + /admin/api/* ──
+    this.admin.mount(this.app, json);
+
+    // ── Web UI ── each browser gets its own user id cookie
     this.app.get('/', (req, res) => {
+      if (!this._cookieUser(req)) {
+        const secure = req.secure ? '; Secure' : '';
+        res.setHeader('Set-Cookie', `${USER_COOKIE}=${crypto.randomBytes(12).toString('hex')}; Path=/; Max-Age=31536000; SameSite=Lax; HttpOnly${secure}`);
+      }
       res.send(WEB_UI_HTML);
     });
 
-    this.server = this.app.listen(port, () => {
-      this.status = 'connected';
-      console.log(`[WebChat] ✓ Listening on http://localhost:${port}`);
+    // Errors from route() handlers and body parsing end up here instead of crashing the process
+    this.app.use((err, req, res, next) => {
+      const status = err.status || err.statusCode || 500;
+      if (status >= 500) this.log.error('Request failed', { method: req.method, path: req.path, error: err.message });
+      if (res.headersSent) return res.end();
+      res.status(status).json({ error: status >= 500 ? 'internal error' : err.message });
     });
+
+    if (!auth.enabled && host !== '127.0.0.1' && host !== 'localhost') {
+      this.log.warn('No apiKeys configured, the API is open to anyone who can reach this port');
+    }
+
+    // A taken port (EADDRINUSE) fails start() instead of throwing an uncaught 'error' event
+    await new Promise((resolve, reject) => {
+      const failed = (err) => {
+        this.server = null;
+        reject(err);
+      };
+      this.server = this.app.listen(port, host, () => {
+        this.server.off('error', failed);
+        this.server.on('error', (err) => this.log.error('Server error', { error: err.message }));
+        this.status = 'connected';
+        this.log.info('Listening', { url: `http://${host || 'localhost'}:${port}`, apiKeys: auth.enabled ? auth.keys.length : undefined });
+        resolve();
+      });
+      this.server.once('error', failed);
+    });
+  }
+
+  // Pushed over /events when someone is listening, otherwise queued for
+  // the next /events connection or GET /messages
+  async sendMessage(chatId, content) {
+    const { text, attachments } = normalizeContent(content);
+    const message = { text, attachments: await this._publish(attachments, chatId), timestamp: Date.now() };
+    if (!this._emit(chatId, 'message', { role: 'assistant', ...message })) {
+      this._queue(chatId, message);
+    }
+  }
+
+  // Which WebChat user a request is for: user_id, else the UI's cookie, else "web_user".
+  // user_id is whatever the caller sends, so with keys it's scoped to the key that sent it:
+  // site key visitors are site_<key name>_<visitor>, API key users key_<key name>_<user>.
+  // A key can't reach another key's conversations or approvals; admin keys can reach all.
+  _user(req, res) {
+    const { site, name, scopes } = req.auth || {};
+    const userId = String(req.body?.user_id || req.query.user_id || (site ? '' : this._cookieUser(req)) || 'web_user');
+    if (userId.includes('~')) {
+      res.status(400).json({ error: 'user_id may not contain "~"' });
+      return null;
+    }
+    if (site) return `site_${name}_${userId}`;
+    if (this.auth.enabled && !scopes.includes('admin')) return `key_${name}_${userId}`;
+    return userId;
+  }
+
+  // { userId, chatId } for a user's conversation; chat ids are web_<user> or web_<user>~<conversation>
+  _target(req, res, conversationId = req.body?.conversation_id || req.query.conversation_id) {
+    const userId = this._user(req, res);
+    if (!userId) return null;
+    if (!conversationId || conversationId === 'default') return { userId, chatId: `web_${userId}` };
+    if (!CONVERSATION_ID.test(conversationId)) {
+      res.status(400).json({ error: 'conversation_id must be 1-64 letters, digits, "-" or "_"' });
+      return null;
+    }
+    return { userId, chatId: `web_${userId}~${conversationId}` };
+  }
+
+  // Approver identity for tool calls. Only API key holders have one — anonymous and
+  // site key callers choose their own user_id, so nothing they send can approve.
+  _approverId(req) {
+    return this.auth.enabled && !req.auth?.site ? `apikey:${req.auth.name}` : null;
+  }
+
+  _cookieUser(req) {
+    const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${USER_COOKIE}=([0-9a-f]{24})(?:;|$)`));
+    return match ? match[1] : null;
+  }
+
+  // Sidebar title: the first thing the user said
+  _title(sessionKey, total) {
+    const first = this.gateway.getSessionMessages(sessionKey, { limit: 5, offset: Math.max(0, total - 5) })
+      .messages.find(m => m.role === 'user' && (m.content || m.attachments?.length));
+    if (!first) return 'New conversation';
+    const text = first.content?.trim() || first.attachments.map(a => a.filename).join(', ');
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  _queue(chatId, message) {
+    const queue = this.outbox.get(chatId) || [];
+    queue.push(message);
+    this.outbox.set(chatId, queue.slice(-100));
+  }
+
+  // Send an event to every /events stream of a chat. Returns false if there were none.
+  _emit(chatId, type, data) {
+    const subs = this.subscribers.get(chatId);
+    if (!subs?.size) return false;
+    for (const res of subs) sendEvent(res, type, data);
+    return true;
+  }
+
+  // Attachments as the browser sees them. Files stored elsewhere (e.g. an
+  // agent-provided path) are copied into the WebChat media dir first.
+  // Each file is recorded as belonging to the chat's user so /media serves it to them only.
+  async _publish(attachments, chatId) {
+    const dir = this.gateway.media.channelDir(this.name);
+    const published = [];
+    for (let attachment of attachments || []) {
+      if (path.dirname(attachment.path) !== dir) {
+        attachment = await this.saveAttachment(fs.readFileSync(attachment.path), attachment);
+        if (!attachment) continue;
+      }
+      this._ownMedia(path.basename(attachment.path), chatUser(chatId));
+      published.push({
+        type: attachment.type,
+        mimeType: attachment.mimeType,
+        filename: attachment.filename,
+        size: attachment.size,
+        url: `/media/${encodeURIComponent(path.basename(attachment.path))}`,
+      });
+    }
+    return published;
+  }
+
+  // ─── Media ownership ───
+
+  _ownMedia(file, userId) {
+    if (!userId || this.mediaOwners[file] === userId) return;
+    this.mediaOwners[file] = userId;
+    try {
+      fs.writeFileSync(this._mediaOwnersPath(), JSON.stringify(this.mediaOwners), 'utf-8');
+    } catch (err) {
+      this.log.error('Couldn\'t save media owners', { error: err.message });
+    }
+  }
+
+  _readMediaOwners() {
+    try {
+      return JSON.parse(fs.readFileSync(this._mediaOwnersPath(), 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  _mediaOwnersPath() {
+    const dir = this.gateway.media.channelDir(this.name);
+    fs.mkdirSync(dir, { recursive: true });
+    return path.join(dir, '.owners.json');
+  }
+
+  async requestApproval(chatId, request) {
+    const approval = {
+      id: request.id,
+      chatId,
+      toolName: request.toolName,
+      description: request.description,
+      expiresAt: Date.now() + request.timeoutMs,
+    };
+    this.approvals.set(request.id, approval);
+    this._emit(chatId, 'approval_request', approval);
+    return request.id;
+  }
+
+  async approvalSettled(chatId, pending, decision) {
+    this.approvals.delete(pending.id);
+    this._emit(chatId, 'approval_settled', { id: pending.id, decision });
+  }
+
+  // Keys and limits are swapped in place; the server keeps running
+  reconfigure(config) {
+    if (!super.reconfigure(config)) return false;
+    this.auth.configure(config);
+    return true;
   }
 
   async stop() {
+    // Open event streams would keep the server from closing
+    for (const subs of this.subscribers.values()) {
+      for (const res of subs) res.end();
+    }
+    this.subscribers.clear();
+    this.admin.stop();
     if (this.server) {
-      this.server.close();
+      // Wait until the port is free — a reload starts the new server right after
+      const server = this.server;
       this.server = null;
+      await new Promise(resolve => server.close(() => resolve()));
     }
     super.stop();
   }
@@ -75,6 +582,30 @@ export class WebChatChannel extends BaseChannel {
   }
 }
 
+const USER_COOKIE = 'empli_uid';
+const CONVERSATION_ID = /^[\w-]{1,64}$/;
+
+// Express 4 doesn't catch rejected promises — pass them on to the error handler
+function route(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// web_<user> or web_<user>~<conversation> → <user>; null for chats that aren't WebChat users'
+function chatUser(chatId) {
+  return chatId?.startsWith('web_') ? chatId.slice(4).split('~')[0] : null;
+}
+
+function paging(query) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 500),
+    offset: Math.max(parseInt(query.offset) || 0, 0),
+  };
+}
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 const WEB_UI_HTML = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -84,63 +615,435 @@ const WEB_UI_HTML = `<!DOCTYPE html>
 <style>
   * { margin:0; padding:0; box-sizing:border-box; }
   body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-         background: #0a0a0a; color: #e0e0e0; height: 100vh; display: flex; flex-direction: column; }
+         background: #0a0a0a; color: #e0e0e0; height: 100vh; display: flex; }
+  .sidebar { width: 260px; flex-shrink: 0; border-right: 1px solid #222; display: flex; flex-direction: column; background: #0f0f0f; }
+  .sidebar .new { margin: 16px; background: #1d4ed8; color: white; border: none; border-radius: 8px;
+                  padding: 10px; cursor: pointer; font-size: 14px; font-weight: 500; }
+  .sidebar .new:hover { background: #2563eb; }
+  .conversations { flex: 1; overflow-y: auto; padding: 0 8px 16px; }
+  .conv { display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-radius: 8px; cursor: pointer; font-size: 13px; }
+  .conv:hover { background: #1a1a1a; }
+  .conv.active { background: #1e293b; }
+  .conv .title { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .conv .when { color: #666; font-size: 11px; }
+  .conv .del { visibility: hidden; background: none; border: none; color: #888; cursor: pointer; font-size: 14px; }
+  .conv:hover .del { visibility: visible; }
+  .conv .del:hover { color: #ef4444; }
+  .main { flex: 1; display: flex; flex-direction: column; min-width: 0; }
   .header { padding: 16px 24px; border-bottom: 1px solid #222; display: flex; align-items: center; gap: 12px; }
-  .header h1 { font-size: 18px; font-weight: 600; }
-  .header .dot { width: 8px; height: 8px; background: #22c55e; border-radius: 50%; }
+  .header h1 { font-size: 18px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .header .dot { width: 8px; height: 8px; background: #555; border-radius: 50%; flex-shrink: 0; }
+  .header .dot.live { background: #22c55e; }
+  .header .menu { display: none; }
+  .header button { background: #262626; color: #e0e0e0; border: 1px solid #444; border-radius: 6px;
+                   padding: 6px 10px; cursor: pointer; font-size: 13px; }
+  .header .user { margin-left: auto; }
   .messages { flex: 1; overflow-y: auto; padding: 24px; display: flex; flex-direction: column; gap: 12px; }
-  .msg { max-width: 70%; padding: 12px 16px; border-radius: 12px; line-height: 1.5; font-size: 14px; white-space: pre-wrap; }
-  .msg.user { background: #1d4ed8; color: white; align-self: flex-end; border-bottom-right-radius: 4px; }
+  .messages.dragging { outline: 2px dashed #1d4ed8; outline-offset: -12px; }
+  .msg { max-width: 70%; padding: 12px 16px; border-radius: 12px; line-height: 1.5; font-size: 14px; word-wrap: break-word; }
+  .msg.user { background: #1d4ed8; color: white; align-self: flex-end; border-bottom-right-radius: 4px; white-space: pre-wrap; }
   .msg.bot { background: #1a1a1a; border: 1px solid #333; align-self: flex-start; border-bottom-left-radius: 4px; }
   .msg.typing { opacity: 0.5; }
-  .input-bar { padding: 16px 24px; border-top: 1px solid #222; display: flex; gap: 12px; }
-  .input-bar input { flex: 1; background: #1a1a1a; border: 1px solid #333; border-radius: 8px;
-                      padding: 12px 16px; color: white; font-size: 14px; outline: none; }
-  .input-bar input:focus { border-color: #1d4ed8; }
+  .msg.plain { white-space: pre-wrap; }
+  .msg p + p, .msg p + ul, .msg p + ol, .msg ul + p, .msg ol + p, .msg pre + p, .msg p + pre { margin-top: 8px; }
+  .msg h3, .msg h4, .msg h5, .msg h6 { margin: 8px 0 4px; }
+  .msg ul, .msg ol { padding-left: 20px; }
+  .msg code { background: #262626; padding: 1px 5px; border-radius: 4px; font-size: 13px; }
+  .msg pre { background: #0a0a0a; border: 1px solid #333; padding: 10px 12px; border-radius: 8px; overflow-x: auto; margin: 6px 0; }
+  .msg pre code { background: none; padding: 0; }
+  .msg blockquote { border-left: 3px solid #444; padding-left: 10px; color: #aaa; }
+  .msg a { color: #93c5fd; }
+  .empty { color: #666; text-align: center; margin-top: 20vh; }
+  .input-bar { padding: 16px 24px; border-top: 1px solid #222; display: flex; gap: 12px; align-items: flex-end; }
+  .input-bar textarea { flex: 1; background: #1a1a1a; border: 1px solid #333; border-radius: 8px; resize: none;
+                        padding: 12px 16px; color: white; font-size: 14px; font-family: inherit; outline: none; max-height: 200px; }
+  .input-bar textarea:focus { border-color: #1d4ed8; }
   .input-bar button { background: #1d4ed8; color: white; border: none; border-radius: 8px;
                        padding: 12px 20px; cursor: pointer; font-size: 14px; font-weight: 500; }
   .input-bar button:hover { background: #2563eb; }
   .input-bar button:disabled { opacity: 0.5; cursor: not-allowed; }
+  .approval { display: flex; gap: 8px; margin-top: 10px; }
+  .approval button { background: #262626; color: white; border: 1px solid #444; border-radius: 6px;
+                     padding: 6px 12px; cursor: pointer; font-size: 13px; }
+  .approval button:hover { border-color: #1d4ed8; }
+  .files { display: flex; flex-direction: column; gap: 6px; margin-top: 8px; }
+  .files img { max-width: 100%; max-height: 320px; border-radius: 8px; }
+  .files a { color: #93c5fd; }
+  .input-bar .attach { background: #262626; border: 1px solid #444; }
+  .pending { padding: 0 24px 8px; font-size: 12px; color: #888; cursor: pointer; }
+  @media (max-width: 700px) {
+    .sidebar { position: fixed; inset: 0 auto 0 0; z-index: 10; transform: translateX(-100%); transition: transform .2s; }
+    .sidebar.open { transform: none; }
+    .header .menu { display: block; }
+    .msg { max-width: 90%; }
+  }
 </style>
 </head>
 <body>
-  <div class="header"><div class="dot"></div><h1>Empli Gateway</h1></div>
-  <div class="messages" id="messages"></div>
-  <div class="input-bar">
-    <input type="text" id="input" placeholder="Send a message..." autocomplete="off" />
-    <button id="send" onclick="send()">Send</button>
+  <div class="sidebar" id="sidebar">
+    <button class="new" onclick="newConversation()">+ New conversation</button>
+    <div class="conversations" id="conversations"></div>
+  </div>
+  <div class="main">
+    <div class="header">
+      <button class="menu" onclick="sidebar.classList.toggle('open')">☰</button>
+      <div class="dot" id="dot"></div><h1 id="title">Empli Gateway</h1>
+      <button class="user" id="user" onclick="changeName()"></button>
+    </div>
+    <div class="messages" id="messages"></div>
+    <div class="pending" id="pending" title="Click to remove" onclick="clearFiles()"></div>
+    <div class="input-bar">
+      <button class="attach" onclick="file.click()" title="Attach files">📎</button>
+      <input type="file" id="file" multiple hidden />
+      <textarea id="input" rows="1" placeholder="Send a message..." autocomplete="off"></textarea>
+      <button id="send" onclick="send()">Send</button>
+    </div>
   </div>
 <script>
 const msgs = document.getElementById('messages');
 const inp = document.getElementById('input');
-const btn = document.getElementById('send');
+const file = document.getElementById('file');
+const pending = document.getElementById('pending');
+const sidebar = document.getElementById('sidebar');
+const list = document.getElementById('conversations');
+let selected = [];
+
+// API key (when the gateway requires one): ?key=... once, then remembered.
+// The user id is a cookie set by the server, so each browser has its own conversations.
+const params = new URLSearchParams(location.search);
+if (params.get('key')) {
+  localStorage.setItem('empliKey', params.get('key'));
+  history.replaceState(null, '', location.pathname + location.hash);
+}
+
+async function api(path, opts = {}) {
+  const key = localStorage.getItem('empliKey');
+  const headers = { ...(opts.headers || {}), ...(key ? { Authorization: 'Bearer ' + key } : {}) };
+  const res = await fetch(path, { ...opts, headers });
+  if (res.status === 401) {
+    const entered = prompt('API key for this gateway:');
+    if (entered) {
+      localStorage.setItem('empliKey', entered.trim());
+      return api(path, opts);
+    }
+  }
+  return res;
+}
+
+// ── Who's talking (shown to the agent as the sender name) ──
+
+let userName = localStorage.getItem('empliName') || '';
+function showName() {
+  document.getElementById('user').textContent = '👤 ' + (userName || 'Set your name');
+}
+function changeName() {
+  const entered = prompt('Your name:', userName);
+  if (entered === null) return;
+  userName = entered.trim();
+  localStorage.setItem('empliName', userName);
+  showName();
+}
+showName();
+
+// ── Conversations ──
+
+let current = decodeURIComponent(location.hash.slice(1)) || null;
+let conversations = [];
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+async function loadConversations() {
+  try {
+    const res = await api('/conversations');
+    if (res.ok) conversations = (await res.json()).conversations;
+  } catch(e) {}
+  renderConversations();
+}
+
+function renderConversations() {
+  list.replaceChildren();
+  const shown = conversations.some(c => c.id === current) ? conversations : [{ id: current, title: 'New conversation' }, ...conversations];
+  for (const c of shown) {
+    const row = document.createElement('div');
+    row.className = 'conv' + (c.id === current ? ' active' : '');
+    row.onclick = () => select(c.id);
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = c.title;
+    title.title = c.title;
+    row.appendChild(title);
+    if (c.lastActivity) {
+      const when = document.createElement('div');
+      when.className = 'when';
+      when.textContent = ago(c.lastActivity);
+      row.appendChild(when);
+    }
+    if (c.messages) {
+      const del = document.createElement('button');
+      del.className = 'del';
+      del.textContent = '×';
+      del.title = 'Delete conversation';
+      del.onclick = (e) => { e.stopPropagation(); remove(c); };
+      row.appendChild(del);
+    }
+    list.appendChild(row);
+  }
+  document.getElementById('title').textContent = shown.find(c => c.id === current)?.title || 'Empli Gateway';
+}
+
+function ago(t) {
+  const s = (Date.now() - t) / 1000;
+  if (s < 60) return 'now';
+  if (s < 3600) return Math.floor(s / 60) + 'm';
+  if (s < 86400) return Math.floor(s / 3600) + 'h';
+  return new Date(t).toLocaleDateString();
+}
+
+function newConversation() {
+  select(newId());
+}
+
+async function remove(c) {
+  if (!confirm('Delete "' + c.title + '"? This removes its history.')) return;
+  await api('/conversations/' + encodeURIComponent(c.id), { method: 'DELETE' });
+  conversations = conversations.filter(x => x.id !== c.id);
+  if (c.id === current) select(conversations[0]?.id || newId());
+  else renderConversations();
+}
+
+function select(id) {
+  current = id;
+  history.replaceState(null, '', location.pathname + '#' + encodeURIComponent(id));
+  sidebar.classList.remove('open');
+  renderConversations();
+  connect();
+  inp.focus();
+}
+
+// ── History ──
+
+let loadedUntil = 0;   // newest timestamp already on screen from history
+
+async function loadHistory(id) {
+  const res = await api('/conversations/' + encodeURIComponent(id) + '/messages?limit=200');
+  if (!res.ok) throw new Error(res.statusText);
+  const { messages } = await res.json();
+  if (id !== current) return;
+  resetView();
+  for (const m of messages) {
+    const div = m.role === 'user' ? addMsg(m.content, 'user') : addReply(addMsg('', 'bot'), m.content);
+    addFiles(div, m.attachments.filter(a => a.url));
+    loadedUntil = Math.max(loadedUntil, m.timestamp || 0);
+  }
+  if (!messages.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'Start a conversation — ask anything, or drop files here.';
+    msgs.appendChild(empty);
+  }
+}
+
+function resetView() {
+  msgs.replaceChildren();
+  bubbles.clear();
+  approvalBars.clear();
+  loadedUntil = 0;
+}
+
+// ── Sending ──
+
+inp.addEventListener('keydown', e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send(); } });
+inp.addEventListener('input', () => { inp.style.height = 'auto'; inp.style.height = inp.scrollHeight + 'px'; });
+file.addEventListener('change', () => addSelected([...file.files]));
+inp.addEventListener('paste', e => {
+  const pasted = [...(e.clipboardData?.files || [])];
+  if (pasted.length) { e.preventDefault(); addSelected(pasted); }
+});
+msgs.addEventListener('dragover', e => { e.preventDefault(); msgs.classList.add('dragging'); });
+msgs.addEventListener('dragleave', () => msgs.classList.remove('dragging'));
+msgs.addEventListener('drop', e => {
+  e.preventDefault();
+  msgs.classList.remove('dragging');
+  addSelected([...e.dataTransfer.files]);
+});
 
-inp.addEventListener('keydown', e => { if (e.key === 'Enter' && !e.shiftKey) send(); });
+function addSelected(files) {
+  selected = [...selected, ...files];
+  pending.textContent = selected.map(f => '📎 ' + f.name).join('  ');
+}
+
+function clearFiles() {
+  selected = [];
+  file.value = '';
+  pending.textContent = '';
+}
+
+function readFile(f) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      filename: f.name,
+      mimeType: f.type || undefined,
+      data: reader.result.split(',')[1],
+    });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(f);
+  });
+}
 
 async function send() {
   const text = inp.value.trim();
-  if (!text) return;
+  if (!text && !selected.length) return;
+  const files = selected;
   inp.value = '';
-  addMsg(text, 'user');
-  btn.disabled = true;
+  inp.style.height = 'auto';
+  clearFiles();
+  msgs.querySelector('.empty')?.remove();
+  const own = addMsg(text, 'user');
+  if (files.length) addFiles(own, files.map(f => ({ filename: f.name, type: f.type.startsWith('image/') ? 'image' : 'file', url: URL.createObjectURL(f) })));
 
-  const typing = addMsg('Thinking...', 'bot typing');
+  // The reply arrives on /events
+  const requestId = Math.random().toString(36).slice(2);
+  mine.add(requestId);
   try {
-    const res = await fetch('/chat', {
+    const res = await api('/chat', {
       method: 'POST', headers: {'Content-Type':'application/json'},
-      body: JSON.stringify({ message: text })
+      body: JSON.stringify({
+        message: text,
+        attachments: await Promise.all(files.map(readFile)),
+        conversation_id: current,
+        user_name: userName || undefined,
+        async: true,
+        client_id: requestId,
+      })
     });
-    const data = await res.json();
-    typing.remove();
-    addMsg(data.reply || 'No response', 'bot');
+    if (!res.ok) throw new Error((await res.json()).error || res.statusText);
   } catch(e) {
-    typing.remove();
-    addMsg('Error: ' + e.message, 'bot');
+    mine.delete(requestId);
+    addMsg('Error: ' + e.message, 'bot plain');
   }
-  btn.disabled = false;
   inp.focus();
 }
 
+// ── Live events for the open conversation ──
+
+const bubbles = new Map();       // requestId → bot bubble for a reply in progress
+const mine = new Set();          // requestIds sent from this tab (already on screen)
+const approvalBars = new Map();  // approval id → button bar
+
+function bubbleFor(requestId) {
+  if (!bubbles.has(requestId)) bubbles.set(requestId, addMsg('Thinking...', 'bot typing plain'));
+  return bubbles.get(requestId);
+}
+
+function finish(requestId, text, files) {
+  const bubble = bubbleFor(requestId);
+  bubbles.delete(requestId);
+  mine.delete(requestId);
+  bubble.className = 'msg bot';
+  addReply(bubble, text);
+  addFiles(bubble, files);
+  loadConversations();
+}
+
+const handlers = {
+  message(e) {
+    if (e.role === 'user' && mine.has(e.requestId)) return;
+    if (e.timestamp && e.timestamp <= loadedUntil) return;
+    msgs.querySelector('.empty')?.remove();
+    const div = e.role === 'user' ? addMsg(e.text, 'user') : addReply(addMsg('', 'bot'), e.text);
+    addFiles(div, e.attachments);
+  },
+  typing(e) {
+    bubbleFor(e.requestId);
+  },
+  partial(e) {
+    const bubble = bubbleFor(e.requestId);
+    bubble.className = 'msg bot';
+    addReply(bubble, e.text);
+    msgs.scrollTop = msgs.scrollHeight;
+  },
+  done(e) {
+    finish(e.requestId, e.reply || (e.attachments?.length ? '' : 'No response'), e.attachments);
+  },
+  error(e) {
+    finish(e.requestId, 'Error: ' + e.error);
+  },
+  approval_request(a) {
+    if (approvalBars.has(a.id)) return;
+    const div = addMsg('⚠️ Approval needed\\n' + a.description, 'bot plain');
+    const bar = document.createElement('div');
+    bar.className = 'approval';
+    for (const [label, decision] of [['Approve', 'approve'], ['Always', 'always'], ['Deny', 'deny']]) {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.onclick = () => api('/approvals/' + a.id, {
+        method: 'POST', headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ decision })
+      });
+      bar.appendChild(b);
+    }
+    div.appendChild(bar);
+    approvalBars.set(a.id, bar);
+  },
+  approval_settled(e) {
+    const bar = approvalBars.get(e.id);
+    if (!bar) return;
+    approvalBars.delete(e.id);
+    bar.replaceWith('\\n→ ' + ({ approve: 'Approved', always: 'Always allowed', deny: 'Denied', timeout: 'Expired' }[e.decision] || e.decision));
+  },
+};
+
+// Server-Sent Events read with fetch (EventSource can't send the API key header).
+// Each (re)connect reloads the history instead of replaying queued messages.
+let stream = null;
+
+async function connect() {
+  stream?.abort();
+  const ctrl = stream = new AbortController();
+  const id = current;
+  const dot = document.getElementById('dot');
+  try {
+    const res = await api('/events?replay=0&conversation_id=' + encodeURIComponent(id), { signal: ctrl.signal });
+    if (!res.ok) throw new Error(res.statusText);
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const early = [];             // events that arrive while the history loads
+    let ready = false;
+    loadHistory(id).catch(() => {}).finally(() => {
+      ready = true;
+      for (const [type, data] of early.splice(0)) handlers[type](data);
+    });
+    dot.className = 'dot live';
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\\n\\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        let type = 'message';
+        let data = '';
+        for (const line of block.split('\\n')) {
+          if (line.startsWith('event: ')) type = line.slice(7);
+          else if (line.startsWith('data: ')) data += line.slice(6);
+        }
+        if (!data || !handlers[type]) continue;
+        if (ready) handlers[type](JSON.parse(data));
+        else early.push([type, JSON.parse(data)]);
+      }
+    }
+  } catch(e) {}
+  if (stream !== ctrl) return;   // switched conversations
+  dot.className = 'dot';
+  setTimeout(() => { if (stream === ctrl) connect(); }, 3000);
+}
+
+// ── Rendering ──
+
 function addMsg(text, cls) {
   const div = document.createElement('div');
   div.className = 'msg ' + cls;
@@ -149,6 +1052,104 @@ function addMsg(text, cls) {
   msgs.scrollTop = msgs.scrollHeight;
   return div;
 }
+
+function addReply(div, text) {
+  div.innerHTML = markdown(text || '');
+  return div;
+}
+
+function addFiles(div, files) {
+  if (!files?.length) return;
+  const box = document.createElement('div');
+  box.className = 'files';
+  for (const f of files) {
+    // Media needs the API key, which <img src> can't send — load it as a blob
+    const el = document.createElement(f.type === 'image' ? 'img' : 'a');
+    if (f.type === 'image') el.alt = f.filename;
+    else { el.download = f.filename; el.textContent = '📎 ' + f.filename; }
+    const set = (url) => { if (f.type === 'image') el.src = url; else el.href = url; };
+    if (f.url.startsWith('/media/')) {
+      api(f.url).then(r => r.blob()).then(b => set(URL.createObjectURL(b))).catch(() => {});
+    } else {
+      set(f.url);
+    }
+    box.appendChild(el);
+  }
+  div.appendChild(box);
+  msgs.scrollTop = msgs.scrollHeight;
+}
+
+// Small markdown subset: code blocks, inline code, headings, lists, quotes,
+// bold/italic/strikethrough and links. Everything is HTML-escaped first.
+function markdown(src) {
+  const stash = [];
+  const keep = (html) => '\\u0000' + (stash.push(html) - 1) + '\\u0000';
+  const link = (url, label) => keep('<a href="' + url + '" target="_blank" rel="noopener">' + label + '</a>');
+
+  let text = src.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  text = text.replace(/\`\`\`[\\w+-]*\\n?([\\s\\S]*?)\`\`\`/g, (_, code) => keep('<pre><code>' + code.replace(/\\n$/, '') + '</code></pre>'));
+  text = text.replace(/\`([^\`\\n]+)\`/g, (_, code) => keep('<code>' + code + '</code>'));
+  text = text.replace(/\\[([^\\]\\n]+)\\]\\(((?:https?:\\/\\/|mailto:)[^\\s)]+)\\)/g, (_, label, url) => link(url, label));
+  text = text.replace(/\\bhttps?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\\]'*_]/g, (url) => link(url, url));
+
+  const inline = (s) => s
+    .replace(/\\*\\*([^*\\n]+)\\*\\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\\w*])\\*([^*\\n]+)\\*(?!\\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\\w])_([^_\\n]+)_(?!\\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~\\n]+)~~/g, '<del>$1</del>');
+
+  const out = [];
+  let para = [];
+  let items = null;
+  let listTag = null;
+  let quote = [];
+  const flush = () => {
+    if (para.length) out.push('<p>' + para.map(inline).join('<br>') + '</p>');
+    if (items) out.push('<' + listTag + '>' + items.map(i => '<li>' + inline(i) + '</li>').join('') + '</' + listTag + '>');
+    if (quote.length) out.push('<blockquote>' + quote.map(inline).join('<br>') + '</blockquote>');
+    para = [];
+    items = null;
+    quote = [];
+  };
+
+  for (const line of text.split('\\n')) {
+    let m;
+    if (/^\\u0000\\d+\\u0000$/.test(line.trim()) && stash[line.trim().slice(1, -1)].startsWith('<pre>')) {
+      flush();
+      out.push(line.trim());
+    } else if ((m = line.match(/^(#{1,6})\\s+(.*)$/))) {
+      flush();
+      const level = Math.min(6, m[1].length + 2);
+      out.push('<h' + level + '>' + inline(m[2]) + '</h' + level + '>');
+    } else if ((m = line.match(/^\\s*(?:([-*+])|\\d+[.)])\\s+(.*)$/))) {
+      const tag = m[1] ? 'ul' : 'ol';
+      if (!items || listTag !== tag || para.length || quote.length) { flush(); items = []; listTag = tag; }
+      items.push(m[2]);
+    } else if ((m = line.match(/^&gt;\\s?(.*)$/))) {
+      if (para.length || items) flush();
+      quote.push(m[1]);
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      if (items || quote.length) flush();
+      para.push(line);
+    }
+  }
+  flush();
+
+  let html = out.join('');
+  while (/\\u0000\\d+\\u0000/.test(html)) {
+    html = html.replace(/\\u0000(\\d+)\\u0000/g, (_, i) => stash[i]);
+  }
+  return html;
+}
+
+// ── Start ──
+
+(async () => {
+  await loadConversations();
+  select(current || conversations[0]?.id || 'default');
+})();
 </script>
 </body>
 </html>`;
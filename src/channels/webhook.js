@@ -0,0 +1,278 @@
+// ═══════════════════════════════════════════════════════════════
+// Webhook Channel — inbound HTTP webhooks from any service
+// Jira, PagerDuty, Stripe, GitHub or your own apps: each route verifies
+// the signature, maps the JSON payload to a message with {{templates}}
+// and can POST the agent's reply to a callback URL.
+// ═══════════════════════════════════════════════════════════════
+
+import { BaseChannel, normalizeContent } from './base.js';
+import express from 'express';
+import crypto from 'crypto';
+
+// Signature styles:
+//   hmac   — HMAC of the raw body in a header, e.g. GitHub "X-Hub-Signature-256: sha256=<hex>"
+//            or PagerDuty "X-PagerDuty-Signature: v1=<hex>,v1=<hex>"
+//   stripe — "Stripe-Signature: t=<ts>,v1=<hex>" over "<ts>.<body>", with a timestamp tolerance
+const SIGNATURE_DEFAULTS = {
+  hmac: { header: 'x-signature', algorithm: 'sha256', encoding: 'hex', prefix: '' },
+  stripe: { header: 'stripe-signature', algorithm: 'sha256', encoding: 'hex', tolerance: 300 },
+};
+
+export class WebhookChannel extends BaseChannel {
+  constructor(config = {}, name = 'webhook') {
+    super(name, config);
+    this.app = null;
+    this.server = null;
+    this.routes = new Map();     // route name → route config (chat ids are "<route name>:<key>")
+  }
+
+  async start() {
+    const port = this.config.port || 3457;
+    const host = this.config.host || undefined;
+
+    this.app = express();
+    if (this.config.trustProxy) this.app.set('trust proxy', this.config.trustProxy);
+    // Signatures are computed over the exact bytes received
+    const keepRaw = (req, res, buf) => { req.rawBody = buf; };
+    this.app.use(express.json({ limit: this.config.bodyLimit || '1mb', verify: keepRaw, type: ['application/json', 'application/*+json'] }));
+    this.app.use(express.urlencoded({ extended: true, limit: this.config.bodyLimit || '1mb', verify: keepRaw }));
+
+    this.routes.clear();
+    for (const route of this.config.routes || []) {
+      if (!route?.path) {
+        this.log.warn('Skipping route without a path');
+        continue;
+      }
+      const name = route.name || route.path.replace(/^\/+|\/+$/g, '').replace(/[^\w-]+/g, '_') || 'root';
+      if (this.routes.has(name)) {
+        this.log.warn('Duplicate route name, skipping', { route: name, path: route.path });
+        continue;
+      }
+      // Unsigned routes are opt-in, and their payloads never pick where the gateway POSTs
+      if (!route.secret && !route.allowUnsigned) {
+        this.log.error('Route needs a secret (or allowUnsigned: true), skipping', { path: route.path });
+        continue;
+      }
+      if (!route.secret && route.callbackUrl?.includes('{{')) {
+        this.log.error('Unsigned route can\'t use a templated callbackUrl, skipping', { path: route.path });
+        continue;
+      }
+      if (!route.secret) {
+        this.log.warn('Route accepts unsigned requests, anyone who can reach it can talk to the agent', { path: route.path });
+      }
+      this.routes.set(name, { ...route, name });
+      this.app.post(route.path, (req, res, next) => this._handle(name, req, res).catch(next));
+    }
+
+    this.app.get('/health', (req, res) => {
+      res.json({ ok: true, routes: [...this.routes.values()].map(r => r.path) });
+    });
+
+    // Body parsing errors and anything _handle throws (e.g. a bad signature algorithm) end up here
+    this.app.use((err, req, res, next) => {
+      const status = err.status || err.statusCode || 500;
+      if (status >= 500) this.log.error('Request failed', { path: req.path, error: err.message });
+      if (res.headersSent) return res.end();
+      res.status(status).json({ error: status >= 500 ? 'internal error' : err.message });
+    });
+
+    await new Promise((resolve, reject) => {
+      const failed = (err) => {
+        this.server = null;
+        reject(err);
+      };
+      this.server = this.app.listen(port, host, () => {
+        this.server.off('error', failed);
+        this.server.on('error', (err) => this.log.error('Server error', { error: err.message }));
+        resolve();
+      });
+      this.server.once('error', failed);
+    });
+    this.status = 'connected';
+    this.log.info('Listening', { url: `http://${host || 'localhost'}:${port}`, routes: this.routes.size });
+  }
+
+  async _handle(name, req, res) {
+    const route = this.routes.get(name);
+
+    if (route.secret && !verifySignature(route, req)) {
+      this.log.warn('Bad signature', { path: route.path, ip: req.ip });
+      return res.status(401).json({ error: 'invalid signature' });
+    }
+
+    const payload = {
+      ...(req.body && typeof req.body === 'object' ? req.body : {}),
+      $headers: req.headers,
+      $query: req.query,
+      $route: name,
+    };
+
+    if (route.filter && !render(route.filter, payload)) {
+      return res.status(202).json({ accepted: false, reason: 'filtered' });
+    }
+
+    const key = render(route.chatId, payload) || 'default';
+    const chatId = `${name}:${key}`;
+    const sender = render(route.sender, payload) || name;
+    const text = route.text
+      ? render(route.text, payload)
+      : JSON.stringify(req.body ?? {}, null, 2);
+
+    if (!text.trim()) {
+      return res.status(400).json({ error: 'payload rendered to an empty message' });
+    }
+
+    const handle = async () => {
+      const result = await this.onMessage({
+        chatId,
+        chatName: render(route.chatName, payload) || key,
+        sender,
+        senderId: render(route.senderId, payload) || sender,
+        text,
+        timestamp: Date.now(),
+        metadata: { webhook: name, path: route.path },
+      });
+      if (route.callbackUrl && (result?.reply || result?.attachments?.length)) {
+        // Failures are logged by _callback; the reply stays in the session history
+        await this._callback(route, { chatId, sender, payload, reply: result.reply, attachments: result.attachments, sessionKey: result.sessionKey })
+          .catch(() => {});
+      }
+      return result;
+    };
+
+    // Most services want a fast 2xx and retry otherwise — answer first, think later
+    if (route.mode !== 'sync') {
+      res.status(202).json({ accepted: true, chatId });
+      handle().catch(err => this.log.error('Error handling webhook', { path: route.path, error: err.message }));
+      return;
+    }
+
+    try {
+      const result = await handle();
+      res.json({
+        chatId,
+        reply: result?.reply || null,
+        sessionKey: result?.sessionKey || null,
+        ...(result?.error ? { error: true } : {}),
+      });
+    } catch (err) {
+      this.log.error('Error handling webhook', { path: route.path, error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  // POST { route, chatId, reply, attachments, sessionKey } to the route's callbackUrl
+  // (callbackUrl may itself be a template, e.g. "{{response_url}}", on signed routes only)
+  async _callback(route, { chatId, sender, payload, reply, attachments, sessionKey }) {
+    const url = route.secret ? render(route.callbackUrl, payload || {}) : route.callbackUrl;
+    if (!url) return;
+
+    const body = JSON.stringify({
+      route: route.name,
+      chatId,
+      sender,
+      reply: reply || '',
+      attachments: (attachments || []).map(({ type, mimeType, filename, size }) => ({ type, mimeType, filename, size })),
+      sessionKey,
+      timestamp: Date.now(),
+    });
+    const headers = { 'Content-Type': 'application/json', ...(route.callbackHeaders || {}) };
+    if (route.secret) {
+      const algorithm = route.signature?.algorithm || 'sha256';
+      headers['X-Empli-Signature'] = `${algorithm}=${crypto.createHmac(algorithm, route.secret).update(body).digest('hex')}`;
+    }
+
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.config.callbackTimeout || 10000) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.log.info('Callback delivered', { route: route.name, chatId });
+    } catch (err) {
+      this.log.error('Callback failed', { route: route.name, chatId, error: err.message });
+      throw err;
+    }
+  }
+
+  // Proactive messages go to the callbackUrl of the route the chat came in on.
+  // Templated callback URLs need the original payload, so only fixed URLs work here.
+  async sendMessage(chatId, content) {
+    const route = this.routes.get(String(chatId).split(':')[0]);
+    if (!route?.callbackUrl || route.callbackUrl.includes('{{')) {
+      throw new Error(`No fixed callbackUrl for webhook chat ${chatId}`);
+    }
+    const { text, attachments } = normalizeContent(content);
+    await this._callback(route, { chatId, sender: null, payload: {}, reply: text, attachments, sessionKey: `${this.name}:${chatId}` });
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    super.stop();
+  }
+
+  getStatus() {
+    return this.status;
+  }
+}
+
+// ─── Templates ───
+
+// "{{issue.key}}: {{issue.fields.summary}}" → values from the payload.
+// Paths use dots (items.0.name); $headers, $query and $route are available too.
+// Missing values render as '', objects as JSON.
+export function render(template, data) {
+  if (template == null) return '';
+  return String(template).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, expr) => {
+    // {{a.b || c.d || "fallback"}}
+    for (const part of expr.split('||').map(p => p.trim())) {
+      const literal = part.match(/^"(.*)"$|^'(.*)'$/);
+      if (literal) return literal[1] ?? literal[2];
+      const value = lookup(data, part);
+      if (value != null && value !== '') return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    return '';
+  });
+}
+
+function lookup(data, path) {
+  let value = data;
+  for (const key of path.split('.')) {
+    if (value == null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// ─── Signatures ───
+
+function verifySignature(route, req) {
+  const type = route.signature?.type || 'hmac';
+  const opts = { ...SIGNATURE_DEFAULTS[type] || SIGNATURE_DEFAULTS.hmac, ...route.signature };
+  const header = req.headers[opts.header.toLowerCase()];
+  const raw = req.rawBody || Buffer.alloc(0);
+  if (!header) return false;
+
+  if (type === 'stripe') {
+    const parts = String(header).split(',').map(p => p.trim().split('='));
+    const timestamp = parts.find(([k]) => k === 't')?.[1];
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > opts.tolerance) return false;
+    const expected = sign(opts, route.secret, Buffer.concat([Buffer.from(`${timestamp}.`), raw]));
+    return parts.some(([k, v]) => k === 'v1' && safeEqual(v, expected));
+  }
+
+  const expected = sign(opts, route.secret, raw);
+  return String(header).split(',')
+    .map(s => s.trim())
+    .some(s => safeEqual(s.startsWith(opts.prefix) ? s.slice(opts.prefix.length) : s, expected));
+}
+
+function sign({ algorithm, encoding }, secret, data) {
+  return crypto.createHmac(algorithm, secret).update(data).digest(encoding);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
@@ -3,25 +3,31 @@
 // Uses the real WhatsApp Web protocol, auth via QR code
 // ═══════════════════════════════════════════════════════════════
 
-import { BaseChannel } from './base.js';
+import fs from 'fs';
+import path from 'path';
+import { BaseChannel, normalizeContent } from './base.js';
+import { approvalPrompt } from '../core/approvals.js';
 
 export class WhatsAppChannel extends BaseChannel {
-  constructor(config = {}) {
-    super('whatsapp', config);
+  constructor(config = {}, name = 'whatsapp') {
+    super(name, config);
     this.client = null;
     this.ready = false;
+    this.MessageMedia = null;
   }
 
   async start() {
     this.status = 'connecting';
 
     // Dynamic import (heavy dependency)
-    const { Client, LocalAuth } = await import('whatsapp-web.js');
+    const { Client, LocalAuth, MessageMedia } = await import('whatsapp-web.js');
+    this.MessageMedia = MessageMedia;
     const qrcode = await import('qrcode-terminal');
 
     this.client = new Client({
       authStrategy: new LocalAuth({
-        dataPath: this.config.sessionDir || undefined,
+        dataPath: this.config.sessionDir || this._authDir(),
+        clientId: this.name.split(':')[1],   // One linked device per instance
       }),
       puppeteer: {
         headless: true,
@@ -36,77 +42,129 @@ export class WhatsAppChannel extends BaseChannel {
 
     // QR code for first-time auth
     this.client.on('qr', (qr) => {
-      console.log('\n[WhatsApp] Scan this QR code with WhatsApp:');
+      this.log.info('Scan this QR code with WhatsApp');
       qrcode.default.generate(qr, { small: true });
     });
 
     this.client.on('ready', () => {
       this.ready = true;
       this.status = 'connected';
-      console.log('[WhatsApp] ✓ Connected and ready');
+      this.log.info('Connected and ready');
     });
 
     this.client.on('authenticated', () => {
-      console.log('[WhatsApp] Authenticated (session saved)');
+      this.log.info('Authenticated, session saved');
     });
 
     this.client.on('auth_failure', (msg) => {
       this.status = 'auth_failed';
-      console.error('[WhatsApp] Auth failed:', msg);
+      this.log.error('Auth failed', { error: msg });
     });
 
     this.client.on('disconnected', (reason) => {
       this.ready = false;
       this.status = 'disconnected';
-      console.log('[WhatsApp] Disconnected:', reason);
+      this.log.warn('Disconnected', { reason });
     });
 
     // Handle incoming messages
-    this.client.on('message', async (msg) => {
-      // Skip own messages, status updates, group messages (configurable)
-      if (msg.fromMe) return;
-      if (msg.isStatus) return;
-
-      // Skip groups unless configured to respond
-      const chat = await msg.getChat();
-      if (chat.isGroup && !this.config.allowGroups) return;
-
-      // Apply allowlist/blocklist
-      const contact = await msg.getContact();
-      const senderId = msg.from;
-      const senderName = contact.pushname || contact.name || senderId;
-
-      if (this.config.allowList?.length && !this.config.allowList.includes(senderId)) return;
-      if (this.config.blockList?.length && this.config.blockList.includes(senderId)) return;
-
-      // Only handle text messages for now
-      if (msg.type !== 'chat') return;
-
-      const result = await this.onMessage({
-        chatId: msg.from,
-        chatName: chat.isGroup ? chat.name : senderName,
-        sender: senderName,
-        text: msg.body,
-        timestamp: msg.timestamp * 1000,
-        metadata: {
-          isGroup: chat.isGroup,
-          messageId: msg.id._serialized,
-        },
+    this.client.on('message', (msg) => {
+      this._handleMessage(msg).catch(err => {
+        this.log.error('Error handling message', { error: err.message });
       });
+    });
 
-      if (result?.reply) {
-        // Typing indicator
-        await chat.sendStateTyping();
-        // Simulate typing delay (more natural)
-        const delay = Math.min(result.reply.length * 30, 5000);
-        await new Promise(r => setTimeout(r, delay));
-        await chat.clearState();
+    await this.client.initialize();
+  }
 
-        await msg.reply(result.reply);
+  async _handleMessage(msg) {
+    // Skip own messages, status updates, group messages (configurable)
+    if (msg.fromMe) return;
+    if (msg.isStatus) return;
+
+    // Skip groups unless configured to respond
+    const chat = await msg.getChat();
+    if (chat.isGroup && !this.config.allowGroups) return;
+
+    // Apply allowlist/blocklist
+    const contact = await msg.getContact();
+    const senderId = msg.from;
+    const senderName = contact.pushname || contact.name || senderId;
+
+    if (this.config.allowList?.length && !this.config.allowList.includes(senderId)) return;
+    if (this.config.blockList?.length && this.config.blockList.includes(senderId)) return;
+
+    // Text, or media (images, voice notes, documents...) with an optional caption
+    if (msg.type !== 'chat' && !msg.hasMedia) return;
+
+    const attachments = [];
+    if (msg.hasMedia) {
+      try {
+        const media = await msg.downloadMedia();
+        if (media) {
+          const attachment = await this.saveAttachment(Buffer.from(media.data, 'base64'), {
+            filename: media.filename || undefined,
+            mimeType: media.mimetype.split(';')[0],
+            type: msg.type === 'ptt' ? 'audio' : undefined,
+          });
+          if (attachment) attachments.push(attachment);
+        }
+      } catch (err) {
+        this.log.error('Couldn\'t download media', { error: err.message });
       }
+    }
+
+    const result = await this.onMessage({
+      chatId: msg.from,
+      chatName: chat.isGroup ? chat.name : senderName,
+      sender: senderName,
+      senderId: msg.author || msg.from,
+      text: msg.body || '',
+      attachments,
+      timestamp: msg.timestamp * 1000,
+      metadata: {
+        isGroup: chat.isGroup,
+        messageId: msg.id._serialized,
+      },
     });
 
-    await this.client.initialize();
+    if (result?.reply) {
+      // Typing indicator
+      await chat.sendStateTyping();
+      // Simulate typing delay (more natural)
+      const delay = Math.min(result.reply.length * 30, 5000);
+      await new Promise(r => setTimeout(r, delay));
+      await chat.clearState();
+
+      await msg.reply(result.reply);
+    }
+
+    await this._sendMedia(msg.from, result?.attachments);
+  }
+
+  // chatId is a WhatsApp ID, e.g. 491701234567@c.us or a group's @g.us ID
+  async sendMessage(chatId, content) {
+    if (!this.ready) throw new Error('WhatsApp not connected');
+    const { text, attachments } = normalizeContent(content);
+    if (text) await this.client.sendMessage(chatId, text);
+    await this._sendMedia(chatId, attachments);
+  }
+
+  async _sendMedia(chatId, attachments) {
+    for (const attachment of attachments || []) {
+      const media = this.MessageMedia.fromFilePath(attachment.path);
+      media.filename = attachment.filename;
+      await this.client.sendMessage(chatId, media, {
+        sendAudioAsVoice: attachment.mimeType === 'audio/ogg',
+        sendMediaAsDocument: attachment.type === 'document' || attachment.type === 'file',
+      });
+    }
+  }
+
+  // No buttons on WhatsApp — the user replies "approve" / "always" / "deny"
+  async requestApproval(chatId, request) {
+    await this.client.sendMessage(chatId, approvalPrompt(request));
+    return true;
   }
 
   async stop() {
@@ -121,4 +179,15 @@ export class WhatsAppChannel extends BaseChannel {
   getStatus() {
     return this.ready ? 'connected' : this.status;
   }
+
+  // Linked-device session lives in <dataDir>/whatsapp-auth, one per profile.
+  // Older installs kept it in ./.wwebjs_auth — still used when present so nobody has to re-scan.
+  _authDir() {
+    const legacy = path.resolve('.wwebjs_auth');
+    if (fs.existsSync(legacy)) {
+      this.log.info('Using the WhatsApp session in the working directory; set sessionDir or move it to the data dir', { path: legacy });
+      return legacy;
+    }
+    return path.join(this.gateway.dataDir, 'whatsapp-auth');
+  }
 }
@@ -4,14 +4,27 @@
 // Interactive setup: configure endpoint + channels
 // ═══════════════════════════════════════════════════════════════
 
-import { loadConfig, saveConfig, CONFIG_PATH, DATA_DIR } from './core/config.js';
+import { loadConfig, saveConfig, applyPathFlags, PROFILE, CONFIG_PATH, DATA_DIR, VAULT_PATH } from './core/config.js';
+import { SecretVault, findSecrets, isSecretSetting, masterPassphrase, resolveSecrets, writePrivateFile } from './core/secrets.js';
+import { validateConfig, parsePath, getPath, setPath, schemaAt, coerceValue } from './core/schema.js';
+import { configureLogging } from './core/logger.js';
+import { generateApiKey, SCOPES } from './channels/webchat-auth.js';
+import { channelConfig, enabledChannels } from './channels/index.js';
+import { gmailTokenFile } from './channels/gmail.js';
 import fs from 'fs';
+import path from 'path';
 
-const args = process.argv.slice(2);
-const command = args[0];
+// Keep stdout for command output (`empli config get` is meant for scripts)
+configureLogging({ level: 'warn' });
 
 async function main() {
-  switch (command) {
+  // --profile / --config / --data-dir go anywhere on the command line
+  const args = applyPathFlags(process.argv.slice(2));
+
+  switch (args[0]) {
+    case 'start':
+      await import('./index.js');
+      break;
     case 'onboard':
       await onboard();
       break;
@@ -19,10 +32,16 @@ async function main() {
       await showStatus();
       break;
     case 'config':
-      showConfig();
+      manageConfig(args[1], args.slice(2));
       break;
     case 'gmail-auth':
-      await gmailAuth(args[1]);
+      await gmailAuth(args[1], args[2]);
+      break;
+    case 'apikey':
+      manageApiKeys(args[1], args.slice(2));
+      break;
+    case 'secrets':
+      await manageSecrets(args[1], args.slice(2));
       break;
     default:
       printHelp();
@@ -38,7 +57,9 @@ async function onboard() {
   console.log(chalk.dim('  Connect your AI agent to messaging platforms'));
   console.log('');
 
-  const config = loadConfig();
+  // Edit the file as written — defaults and env overrides don't belong in it
+  const config = readConfigFile() || {};
+  config.channels = config.channels || {};
 
   // Step 1: Agent endpoint
   const { endpoint } = await inquirer.prompt([{
@@ -77,6 +98,7 @@ async function onboard() {
       { name: 'Discord (Bot API, needs developer app token)', value: 'discord' },
       { name: 'Slack (Bolt, needs bot + app tokens)', value: 'slack' },
       { name: 'Gmail (Google API, needs OAuth credentials)', value: 'gmail' },
+      { name: 'Webhook (inbound webhooks from Jira, Stripe, your own apps)', value: 'webhook' },
     ],
   }]);
 
@@ -129,6 +151,10 @@ async function onboard() {
         console.log(chalk.dim('  WhatsApp will ask you to scan a QR code on first start.'));
         break;
       }
+      case 'webhook': {
+        console.log(chalk.dim(`  Add routes under channels.webhook.routes in ${CONFIG_PATH} (see README).`));
+        break;
+      }
     }
 
     // Ask for per-channel endpoint override (skip webchat)
@@ -167,14 +193,16 @@ async function onboard() {
   console.log('');
 }
 
-async function gmailAuth(code) {
+// channelId: "gmail" or an instance like "gmail:work"
+async function gmailAuth(code, channelId = 'gmail') {
   if (!code) {
-    console.error('Usage: empli gmail-auth <authorization-code>');
+    console.error('Usage: empli gmail-auth <authorization-code> [gmail:<instance>]');
     process.exit(1);
   }
 
   const config = loadConfig();
-  const credPath = config.channels.gmail?.credentialsPath;
+  const gmail = channelConfig(config.channels, channelId);
+  const credPath = gmail?.credentialsPath;
   if (!credPath) {
     console.error('Gmail credentials not configured. Run: empli onboard');
     process.exit(1);
@@ -186,54 +214,345 @@ async function gmailAuth(code) {
   const oauth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris?.[0]);
 
   const { tokens } = await oauth2Client.getToken(code);
-  const tokenPath = config.channels.gmail.tokenPath ||
-    `${process.env.HOME || '.'}/.empli/gmail-token.json`;
+  const tokenPath = gmail.tokenPath || path.join(config.dataDir, gmailTokenFile(channelId));
 
-  fs.mkdirSync(fs.dirname ? require('path').dirname(tokenPath) : '.', { recursive: true });
-  fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2));
+  writePrivateFile(tokenPath, JSON.stringify(tokens, null, 2));
   console.log(`✓ Gmail token saved to ${tokenPath}`);
 }
 
+// empli apikey create <name> [--scopes chat,status] [--rate-limit 60] | list | revoke <name>
+// With --origins the key is a site key for the embeddable widget (chat only, those origins only)
+function manageApiKeys(action, rest) {
+  // Edit the file as written — defaults and env overrides don't belong in it
+  const config = readConfigFile() || {};
+  config.channels = config.channels || {};
+  const webchat = config.channels.webchat = config.channels.webchat || {};
+  webchat.apiKeys = webchat.apiKeys || [];
+  webchat.siteKeys = webchat.siteKeys || [];
+  const option = (flag) => {
+    const i = rest.indexOf(flag);
+    return i !== -1 ? rest[i + 1] : undefined;
+  };
+
+  switch (action) {
+    case 'create': {
+      const name = rest[0];
+      if (!name || name.startsWith('--')) {
+        console.error('Usage: empli apikey create <name> [--scopes chat,status,admin | --origins https://example.com] [--rate-limit 60]');
+        process.exit(1);
+      }
+      if ([...webchat.apiKeys, ...webchat.siteKeys].some(k => k.name === name)) {
+        console.error(`API key "${name}" already exists`);
+        process.exit(1);
+      }
+      if (option('--origins')) {
+        const origins = option('--origins').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+        const entry = { name, key: generateApiKey(), origins };
+        if (option('--rate-limit')) entry.rateLimit = parseInt(option('--rate-limit'));
+        webchat.siteKeys.push(entry);
+        saveConfig(config);
+        console.log(`✓ Site key "${name}" for ${origins.join(', ')}:`);
+        console.log(`  ${entry.key}`);
+        console.log(`  Embed: <script src="http://<gateway>:${webchat.port || 3456}/widget.js" data-site-key="${entry.key}" async></script>`);
+        break;
+      }
+      const scopes = (option('--scopes') || 'chat').split(',').map(s => s.trim()).filter(Boolean);
+      const unknown = scopes.filter(s => !SCOPES.includes(s));
+      if (unknown.length) {
+        console.error(`Unknown scope(s): ${unknown.join(', ')} (valid: ${SCOPES.join(', ')})`);
+        process.exit(1);
+      }
+      const entry = { name, key: generateApiKey(), scopes };
+      if (option('--rate-limit')) entry.rateLimit = parseInt(option('--rate-limit'));
+      webchat.apiKeys.push(entry);
+      saveConfig(config);
+      console.log(`✓ API key "${name}" (${scopes.join(', ')}):`);
+      console.log(`  ${entry.key}`);
+      console.log('  Send as: Authorization: Bearer <key>');
+      break;
+    }
+    case 'list':
+      if (!webchat.apiKeys.length) console.log('No API keys — the WebChat API is open');
+      for (const k of webchat.apiKeys) {
+        console.log(`  ${k.name}  [${(k.scopes || ['chat']).join(', ')}]  ${k.key.slice(0, 12)}…`);
+      }
+      for (const k of webchat.siteKeys) {
+        console.log(`  ${k.name}  [site: ${[].concat(k.origins || []).join(', ')}]  ${k.key.slice(0, 12)}…`);
+      }
+      break;
+    case 'revoke': {
+      const before = webchat.apiKeys.length + webchat.siteKeys.length;
+      webchat.apiKeys = webchat.apiKeys.filter(k => k.name !== rest[0]);
+      webchat.siteKeys = webchat.siteKeys.filter(k => k.name !== rest[0]);
+      if (webchat.apiKeys.length + webchat.siteKeys.length === before) {
+        console.error(`No API key named "${rest[0]}"`);
+        process.exit(1);
+      }
+      saveConfig(config);
+      console.log(`✓ Revoked "${rest[0]}"`);
+      break;
+    }
+    default:
+      console.error('Usage: empli apikey <create|list|revoke>');
+      process.exit(1);
+  }
+}
+
+// empli secrets set <name> [value] [--setting <path>] | list | remove <name> | rotate
+// The value comes from the argument, stdin, or a hidden prompt — the argument lands in shell history
+async function manageSecrets(action, rest) {
+  const vault = new SecretVault(VAULT_PATH);
+  const option = (flag) => {
+    const i = rest.indexOf(flag);
+    return i !== -1 ? rest.splice(i, 2)[1] : undefined;
+  };
+
+  switch (action) {
+    case 'set': {
+      const setting = option('--setting');
+      const [name, arg] = rest;
+      if (!name || !/^[\w.-]+$/.test(name)) {
+        console.error('Usage: empli secrets set <name> [value] [--setting channels.telegram.token]');
+        process.exit(1);
+      }
+      if (setting && !isSecretSetting(parsePath(setting).pop())) {
+        console.error(`${setting} isn't a secret setting — references only work in token, secret, password and similar fields`);
+        process.exit(1);
+      }
+      await unlockVault(vault, { confirm: !vault.exists });
+      const value = arg ?? (process.stdin.isTTY ? await promptHidden(`Value for ${name}:`) : fs.readFileSync(0, 'utf-8').trim());
+      if (!value) {
+        console.error('Empty value, nothing saved');
+        process.exit(1);
+      }
+      vault.set(name, value);
+      console.log(`✓ Saved "${name}" to ${VAULT_PATH}`);
+
+      if (setting) {
+        const fileConfig = fs.existsSync(CONFIG_PATH) ? JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')) : {};
+        setPath(fileConfig, parsePath(setting), `vault:${name}`);
+        saveConfig(fileConfig);
+        console.log(`✓ ${setting} = "vault:${name}"`);
+      }
+      break;
+    }
+
+    case 'list': {
+      const names = vault.names();
+      if (!names.length) console.log('Vault is empty');
+      for (const { name, updatedAt } of names) console.log(`  ${name}  (updated ${updatedAt.slice(0, 10)})`);
+
+      const { references, plaintext } = findSecrets(loadConfig({ validate: false, resolve: false }));
+      if (references.length) console.log('\n  Referenced in config:');
+      for (const { path: at, ref } of references) {
+        const missing = ref.startsWith('vault:') && !vault.has(ref.slice(6));
+        console.log(`    ${at} → ${ref}${missing ? '  (missing)' : ''}`);
+      }
+      if (plaintext.length) {
+        console.log('\n  Stored in plain text (move with: empli secrets set <name> --setting <path>):');
+        for (const at of plaintext) console.log(`    ${at}`);
+      }
+      break;
+    }
+
+    case 'remove': {
+      if (!vault.remove(rest[0])) {
+        console.error(`No secret named "${rest[0]}"`);
+        process.exit(1);
+      }
+      console.log(`✓ Removed "${rest[0]}"`);
+      break;
+    }
+
+    case 'rotate': {
+      if (!vault.exists) {
+        console.error('No vault yet — add a secret with: empli secrets set <name>');
+        process.exit(1);
+      }
+      await unlockVault(vault);
+      const next = process.env.EMPLI_NEW_MASTER_PASSPHRASE || await promptHidden('New master passphrase:', { confirm: true });
+      const count = vault.rotate(next);
+      console.log(`✓ Re-encrypted ${count} secret(s) with the new passphrase`);
+      console.log('  Update EMPLI_MASTER_PASSPHRASE (or its file) before the gateway restarts');
+      break;
+    }
+
+    default:
+      console.error('Usage: empli secrets <set|list|remove|rotate>');
+      process.exit(1);
+  }
+}
+
+async function unlockVault(vault, { confirm = false } = {}) {
+  try {
+    vault.unlock(masterPassphrase() || await promptHidden('Master passphrase:', { confirm }));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+async function promptHidden(message, { confirm = false } = {}) {
+  const { default: inquirer } = await import('inquirer');
+  const { value } = await inquirer.prompt([{ type: 'password', name: 'value', message, mask: '*' }]);
+  if (confirm) {
+    const { again } = await inquirer.prompt([{ type: 'password', name: 'again', message: 'Repeat:', mask: '*' }]);
+    if (again !== value) {
+      console.error('Passphrases don\'t match');
+      process.exit(1);
+    }
+  }
+  return value;
+}
+
 async function showStatus() {
   const config = loadConfig();
   console.log('');
   console.log('  Empli Gateway Status');
+  console.log(`  Profile: ${PROFILE} (${CONFIG_PATH})`);
+  console.log(`  Data directory: ${config.dataDir}`);
   console.log(`  Default endpoint: ${config.endpoint || '(not set)'}`);
   console.log('  Channels:');
-  for (const [name, ch] of Object.entries(config.channels)) {
-    const icon = ch.enabled ? '✓' : '✗';
+  const enabled = enabledChannels(config.channels);
+  const ids = Object.entries(config.channels).flatMap(([type, ch]) =>
+    [type, ...Object.keys(ch.instances || {}).map(name => `${type}:${name}`)]);
+  for (const id of ids) {
+    const ch = channelConfig(config.channels, id) || {};
+    const on = enabled.includes(id);
     const ep = ch.endpoint ? ` → ${ch.endpoint}` : '';
-    console.log(`    ${icon} ${name}: ${ch.enabled ? 'enabled' : 'disabled'}${ep}`);
+    console.log(`    ${on ? '✓' : '✗'} ${id}: ${on ? 'enabled' : 'disabled'}${ep}`);
   }
   console.log('');
 }
 
-function showConfig() {
-  console.log(JSON.stringify(loadConfig(), null, 2));
+// empli config [validate | get <path> | set <path> <value>]
+// Paths use dots and brackets: channels.telegram.token, events.webhooks[0].url
+function manageConfig(action, rest) {
+  switch (action) {
+    case undefined:
+      console.log(JSON.stringify(loadConfig({ validate: false, resolve: false }), null, 2));
+      break;
+
+    case 'validate': {
+      if (readConfigFile() === null) {
+        console.log(`No config file at ${CONFIG_PATH} — using defaults`);
+      }
+      const config = loadConfig({ strict: true, validate: false, resolve: false });
+      if (!config) {
+        console.error('✗ Invalid EMPLI__* environment override (see above)');
+        process.exit(1);
+      }
+      const issues = [
+        ...resolveSecrets(config, VAULT_PATH).map(issue => ({ ...issue, severity: 'error' })),
+        ...validateConfig(config),
+      ];
+      const errors = issues.filter(i => i.severity === 'error');
+      for (const { path, message, severity } of issues) {
+        console.log(`  ${severity === 'error' ? '✗' : '!'} ${path}: ${message}`);
+      }
+      if (errors.length) {
+        console.error(`${errors.length} error(s) in ${CONFIG_PATH}`);
+        process.exit(1);
+      }
+      console.log(`✓ ${CONFIG_PATH} is valid${issues.length ? ` (${issues.length} warning(s))` : ''}`);
+      break;
+    }
+
+    case 'get': {
+      if (!rest[0]) {
+        console.error('Usage: empli config get <path>');
+        process.exit(1);
+      }
+      const value = getPath(loadConfig({ validate: false, resolve: false }), parsePath(rest[0]));
+      if (value === undefined) {
+        console.error(`Not set: ${rest[0]}`);
+        process.exit(1);
+      }
+      console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+      break;
+    }
+
+    case 'set': {
+      const [key, raw] = rest;
+      if (!key || raw === undefined) {
+        console.error('Usage: empli config set <path> <value>');
+        process.exit(1);
+      }
+      const parts = parsePath(key);
+      const schema = schemaAt(parts);
+      if (!schema) {
+        console.error(`Unknown setting: ${key}`);
+        process.exit(1);
+      }
+      let value;
+      try {
+        value = coerceValue(raw, schema);
+      } catch (err) {
+        console.error(`Invalid value for ${key}: ${err.message}`);
+        process.exit(1);
+      }
+
+      // Edit the file as written (not the merged defaults), then check the result
+      const fileConfig = readConfigFile() || {};
+      setPath(fileConfig, parts, value);
+      const errors = validateConfig(fileConfig).filter(i => i.severity === 'error');
+      if (errors.length) {
+        for (const { path, message } of errors) console.error(`  ✗ ${path}: ${message}`);
+        console.error('Not saved');
+        process.exit(1);
+      }
+      saveConfig(fileConfig);
+      console.log(`✓ ${key} = ${JSON.stringify(value)}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: empli config [validate | get <path> | set <path> <value>]');
+      process.exit(1);
+  }
+}
+
+// Raw config.json, or null when there is none. Exits on a parse error.
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_PATH)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  } catch (err) {
+    console.error(`✗ ${CONFIG_PATH} is not valid JSON: ${err.message}`);
+    process.exit(1);
+  }
 }
 
 function printHelp() {
   console.log(`
   Empli Gateway CLI
 
+  Usage: empli [--profile <name> | --config <file>] [--data-dir <dir>] <command>
+
   Commands:
+    start        Start the gateway
     onboard      Interactive setup wizard
     status       Show current configuration
-    config       Print full config as JSON
-    gmail-auth   Complete Gmail OAuth (after visiting auth URL)
+    config       Print full config as JSON (validate | get <path> | set <path> <value>)
+    gmail-auth   Complete Gmail OAuth (after visiting auth URL): <code> [gmail:<instance>]
+    apikey       Manage WebChat API keys (create <name> --scopes chat,status | --origins <url,...> | list | revoke <name>)
+    secrets      Encrypted secrets (set <name> [--setting <path>] | list | remove <name> | rotate)
 
   Quick Start:
     empli onboard
-    npm start
+    empli start
 
   Environment Variables:
-    EMPLI_ENDPOINT     Agent API URL
+    EMPLI_ENDPOINT        Agent API URL (AIRMINAL_ENDPOINT works too)
+    EMPLI__<PATH>         Any config key, e.g. EMPLI__CHANNELS__DISCORD__ALLOWGROUPS=true
     TELEGRAM_BOT_TOKEN    Telegram bot token
     DISCORD_BOT_TOKEN     Discord bot token
     SLACK_BOT_TOKEN       Slack bot token (xoxb-)
     SLACK_APP_TOKEN       Slack app token (xapp-)
     GMAIL_CREDENTIALS     Path to Google OAuth JSON
     WHATSAPP_ENABLED      Set to "true" to enable WhatsApp
+    EMPLI_MASTER_PASSPHRASE       Unlocks the secrets vault (or EMPLI_MASTER_PASSPHRASE_FILE)
+    EMPLI_PROFILE, EMPLI_CONFIG, EMPLI_DATA_DIR   Same as the flags
   `);
 }
 
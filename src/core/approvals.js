@@ -0,0 +1,167 @@
+// ═══════════════════════════════════════════════════════════════
+// Approvals — ask in chat before running tools that need approval
+// Pending requests live in PermissionSystem.pendingCallbacks
+// ═══════════════════════════════════════════════════════════════
+
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Approvals');
+
+const DECISIONS = {
+  approve: 'approve', approved: 'approve', yes: 'approve', y: 'approve', ok: 'approve',
+  always: 'always',
+  deny: 'deny', denied: 'deny', no: 'deny', n: 'deny',
+};
+
+export class ApprovalManager {
+  constructor(gateway, permissions, config = {}) {
+    this.gateway = gateway;
+    this.permissions = permissions;
+    this.timeout = config.approvalTimeout || 5 * 60 * 1000;
+    this.approvers = (config.approvers || []).map(String);
+  }
+
+  // Post the action into the originating chat and wait for a decision.
+  // Returns: 'approve' | 'always' | 'deny' | 'timeout' | 'unsupported' | 'no_approvers'
+  async request({ channel, chatId, senderId, toolName, input }) {
+    if (!this.approvers.length) {
+      log.warn('Tool needs approval but tools.approvers is empty', { tool: toolName, channel });
+      return 'no_approvers';
+    }
+    const ch = this.gateway.channels.get(channel);
+    if (!ch?.requestApproval) return 'unsupported';
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const pending = {
+      id,
+      channel,
+      chatId,
+      requesterId: senderId ? String(senderId) : null,
+      toolName,
+      input,
+      description: this.permissions.describeAction(toolName, input),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.timeout,
+      ref: null,
+    };
+
+    const decided = new Promise(resolve => {
+      pending.resolve = resolve;
+      pending.timer = setTimeout(() => this._settle(id, 'timeout'), this.timeout);
+    });
+    this.permissions.pendingCallbacks.set(id, pending);
+    this.gateway.emit('approval_request', describePending(pending));
+
+    try {
+      pending.ref = await ch.requestApproval(chatId, {
+        id,
+        toolName,
+        description: pending.description,
+        timeoutMs: this.timeout,
+      });
+      if (pending.ref === false) this._settle(id, 'unsupported');
+    } catch (err) {
+      log.error('Failed to ask for approval', { channel, chatId, error: err.message });
+      this._settle(id, 'unsupported');
+    }
+
+    const decision = await decided;
+    this._remember(pending, decision);
+    this.gateway.emit('approval_settled', { ...describePending(pending), decision });
+
+    try {
+      await ch.approvalSettled?.(chatId, pending, decision);
+    } catch (err) {
+      // Cosmetic only (e.g. removing buttons) — ignore
+    }
+
+    log.info('Approval settled', { id, tool: toolName, channel, chatId, decision });
+    return decision;
+  }
+
+  // Record a decision from a button press or API call.
+  // Returns false if the request is unknown/expired or the user isn't authorized.
+  // override skips the approver check (gateway admins).
+  resolve(id, decision, userId, { override = false } = {}) {
+    const pending = this.permissions.pendingCallbacks.get(id);
+    const normalized = DECISIONS[String(decision).toLowerCase()];
+    if (!pending || !normalized) return false;
+    if (!override && !this.isAuthorized(pending, userId)) return false;
+    return this._settle(id, normalized);
+  }
+
+  // Intercept "approve" / "deny" / "always" text replies before they reach the agent.
+  // Returns true if the message was consumed as an approval decision.
+  handleReply({ channel, chatId, senderId, text }) {
+    const word = text?.trim().toLowerCase().replace(/[.!]+$/, '');
+    if (!word || !DECISIONS[word]) return false;
+
+    const pending = this.listPending()
+      .filter(p => p.channel === channel && p.chatId === chatId)
+      .pop();
+    if (!pending) return false;
+
+    return this.resolve(pending.id, word, senderId);
+  }
+
+  // Only configured approvers — never the requester by default, and never an anonymous caller
+  isAuthorized(pending, userId) {
+    if (userId == null || userId === '') return false;
+    return this.approvers.includes(String(userId));
+  }
+
+  listPending() {
+    return [...this.permissions.pendingCallbacks.values()]
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Settle everything (e.g. on shutdown) so tool loops don't hang
+  cancelAll() {
+    for (const id of [...this.permissions.pendingCallbacks.keys()]) {
+      this._settle(id, 'deny');
+    }
+  }
+
+  _settle(id, decision) {
+    const pending = this.permissions.pendingCallbacks.get(id);
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    this.permissions.pendingCallbacks.delete(id);
+    pending.resolve(decision);
+    return true;
+  }
+
+  _remember({ toolName, input }, decision) {
+    if (decision !== 'always') return;
+
+    if (toolName === 'bash') {
+      // "Always" covers this exact command line, not every use of the binary —
+      // approving `python3 script.py` mustn't allow `python3 -c ...`
+      this.permissions.approve(toolName, { command: input.command.trim() }, true);
+      return;
+    }
+
+    this.permissions.approve(toolName, input, true);
+  }
+}
+
+// Pending request without its callbacks and timers — safe to serialize
+export function describePending({ id, channel, chatId, requesterId, toolName, description, createdAt, expiresAt }) {
+  return { id, channel, chatId, requesterId, toolName, description, createdAt, expiresAt };
+}
+
+export function approvalPrompt({ description, timeoutMs }) {
+  const minutes = Math.round(timeoutMs / 60000);
+  return `⚠️ Approval needed\n${description}\n\nReply "approve", "always" or "deny" (expires in ${minutes} min)`;
+}
+
+export function decisionLabel(decision) {
+  switch (decision) {
+    case 'approve': return '✅ Approved';
+    case 'always': return '✅ Always allowed';
+    case 'deny': return '❌ Denied';
+    case 'timeout': return '⌛ Expired';
+    default: return '❌ Not approved';
+  }
+}
@@ -1,23 +1,107 @@
 // ═══════════════════════════════════════════════════════════════
 // Config — loads from ~/.empli/config.json or env vars
+// Profiles keep separate config and data: ~/.empli/profiles/<name>/
+// Any key can be set from the environment: EMPLI__CHANNELS__DISCORD__ALLOWGROUPS=true
+// Secret settings can be env:/file:/vault: references (see secrets.js)
 // ═══════════════════════════════════════════════════════════════
 
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
+import { canonicalPath, coerceValue, schemaAt, setPath, validateConfig } from './schema.js';
+import { isExposed, resolveSecrets, writePrivateFile } from './secrets.js';
 
-const DATA_DIR = path.join(process.env.HOME || '.', '.empli');
-const CONFIG_PATH = path.join(DATA_DIR, 'config.json');
+const log = createLogger('Config');
+
+const BASE_DIR = path.join(process.env.HOME || '.', '.empli');
+const ENV_PREFIX = 'EMPLI__';
+
+// Set by selectProfile() — live bindings, so importers see the selected profile
+let PROFILE, CONFIG_PATH, DATA_DIR, VAULT_PATH;
+let dataDirFlag = null;   // --data-dir beats dataDir in the config file
+selectProfile({
+  profile: process.env.EMPLI_PROFILE,
+  config: process.env.EMPLI_CONFIG,
+  dataDir: process.env.EMPLI_DATA_DIR,
+});
 
 const DEFAULT_CONFIG = {
   endpoint: '',              // Default agent endpoint for all channels
-  maxHistory: 20,
-  dataDir: DATA_DIR,
+  fallbackEndpoints: [],     // Tried in order when the endpoint fails (per-channel override: channels.x.fallbackEndpoints)
+  maxHistory: 20,            // Recent messages kept loaded per chat (the summary window)
+  stream: false,             // Ask the agent for SSE/NDJSON streaming (per-channel override: channels.x.stream)
+  dataDir: '',               // Sessions, media, tasks, tokens, WhatsApp auth (default: the profile's directory)
+
+  // Agent calls: transient failures (timeouts, 5xx, 429) are retried with backoff;
+  // an endpoint that keeps failing is skipped for a while (circuit breaker)
+  agent: {
+    timeout: 60000,
+    streamTimeout: 300000,
+    retries: 2,
+    retryDelay: 1000,        // First backoff, doubled each retry
+    maxRetryDelay: 10000,
+    breaker: {
+      failureThreshold: 5,   // Consecutive failures before the endpoint is skipped
+      resetTimeout: 30000,   // How long to skip it before trying again
+    },
+    errorReply: "I'm having trouble right now — please try again in a moment.", // '' = stay silent (per-channel: channels.x.errorReply)
+    historyLimit: 10,        // Recent messages sent as history (the whole maxHistory window when summarizing)
+  },
+
+  // Conversation history: 'jsonl' (one file per chat in <dataDir>/sessions)
+  // or 'sqlite' (needs better-sqlite3; queryable, safe for several gateways on one host).
+  // The full transcript is kept; only the last agent.historyLimit messages go to the agent.
+  sessions: {
+    store: 'jsonl',
+    path: '',                // SQLite file (default: <dataDir>/sessions.db)
+    summarize: false,        // Compress messages that leave the window into a running summary
+    summaryEndpoint: '',     // Where to ask for it (default: the agent endpoint, ?route=summarize)
+  },
+
+  // Gateway events POSTed to your own services, signed with X-Empli-Signature: sha256=<hmac>
+  events: {
+    webhooks: [],            // [{ url, secret, events: ['message_received', ...] or ['*'], headers }]
+    retries: 5,
+    retryDelay: 2000,        // Backoff base (ms), doubled per retry
+    maxRetryDelay: 60000,
+    timeout: 10000,
+    deadLetterPath: '',      // Default: <dataDir>/events-dead-letter.jsonl
+    includeToolInput: false, // Add each call's input to tool_executed events
+  },
+
+  // Logs go to stdout/stderr (warnings and errors on stderr). Env overrides:
+  // EMPLI_LOG_LEVEL, EMPLI_LOG_FORMAT, EMPLI_LOG_MODULES="gateway=debug,whatsapp=warn", EMPLI_LOG_PRIVACY
+  logging: {
+    level: 'info',           // debug | info | warn | error | silent
+    format: 'text',          // 'text' or 'json' (one object per line)
+    modules: {},             // Per-module levels, e.g. { "gateway": "debug", "whatsapp": "warn", "scheduler": "silent" }
+    privacy: false,          // Hide message bodies (texts, replies, tool input) — tokens are always masked
+    file: {
+      enabled: false,        // Also write JSON lines to <dataDir>/logs/gateway.log
+      path: '',
+      maxSize: 10485760,     // Rotate at 10 MB
+      maxFiles: 5,           // Rotated files kept (gateway.log.1 … .5)
+    },
+  },
+
+  // Attachments are stored in <dataDir>/media
+  media: {
+    maxBytes: 26214400,        // Largest file accepted in either direction (25 MB)
+    maxInlineBytes: 5242880,   // Files up to this size are sent to the agent as base64
+    outboundDirs: [],          // Extra directories agent replies may attach local files from
+  },
 
   channels: {
     webchat: {
       enabled: true,
       port: 3456,
+      host: '',              // '127.0.0.1' = only reachable from this machine
       endpoint: '',          // Override: use different agent for this channel
+      apiKeys: [],           // [{ name, key, scopes: ['chat','status','admin'], rateLimit }] — empty = no auth
+      siteKeys: [],          // [{ name, key, origins: ['https://example.com'], rateLimit }] — for /widget.js
+      rateLimit: 60,         // Requests per minute per key (or per IP without keys); 0 = unlimited
+      cors: { origins: [] }, // Browser origins allowed to call the API ('*' for any)
+      metrics: true,         // Prometheus metrics at /metrics (needs the metrics scope once keys are set)
     },
     whatsapp: {
       enabled: false,
@@ -57,27 +141,126 @@ const DEFAULT_CONFIG = {
       allowList: [],
       blockList: [],
     },
+    webhook: {
+      enabled: false,
+      endpoint: '',
+      port: 3457,
+      host: '',
+      // [{ path: '/jira', secret, signature: { type: 'hmac'|'stripe', header, prefix },
+      //    chatId: '{{issue.key}}', sender: '{{user.displayName}}', text: '{{issue.fields.summary}}',
+      //    filter, mode: 'async'|'sync', callbackUrl, callbackHeaders }]
+      routes: [],
+    },
+  },
+
+  // Local tools the agent can call (returned as tool_calls in its response)
+  tools: {
+    enabled: false,          // Opt-in — the agent can run commands on this machine; set approvers first
+    maxIterations: 10,       // Max agent ↔ tool round-trips per message
+    sendDefinitions: true,   // Include tool definitions in each agent request
+    approvers: [],           // User IDs allowed to approve tool calls (empty = nothing that needs approval runs)
+    approvalTimeout: 300000, // How long to wait for approve/deny in chat (ms)
+    google: {
+      credentialsPath: '',
+      tokenPath: '',
+    },
+    github: {
+      token: '',
+    },
+    twilio: {
+      accountSid: '',
+      authToken: '',
+      fromNumber: '',
+    },
+    notion: {
+      token: '',
+    },
+    docker: {},
+    database: {
+      defaultDatabase: '',
+    },
+  },
+
+  // Scheduled tasks: schedule_task jobs (<dataDir>/tasks) + the cron list below
+  scheduler: {
+    enabled: true,
+    timezone: '',              // Default timezone for tasks (e.g. "Europe/Berlin"), blank = system
+    catchUp: true,             // Run missed tasks once on startup
+    maxCatchUpAge: 86400000,   // Ignore runs missed longer ago than this (ms)
+    historyLimit: 100,         // Run history entries kept per task
   },
 
+  // [{ name, schedule, prompt, channel, chatId, timezone }]
   cron: [],
+
+  // Apply config.json edits without a restart (SIGHUP reloads too)
+  watchConfig: true,
 };
 
-export function loadConfig() {
-  let config = { ...DEFAULT_CONFIG };
+// Default profile: ~/.empli/config.json, data in ~/.empli.
+// profile: ~/.empli/profiles/<name>/config.json, data beside it.
+// config: that file, data in its directory unless dataDir says otherwise.
+export function selectProfile({ profile, config, dataDir } = {}) {
+  if (profile && !/^[\w-]+$/.test(profile)) throw new Error(`Invalid profile name: ${profile}`);
+  const profileDir = profile && profile !== 'default' ? path.join(BASE_DIR, 'profiles', profile) : BASE_DIR;
+  PROFILE = profile || 'default';
+  CONFIG_PATH = config ? path.resolve(config) : path.join(profileDir, 'config.json');
+  DATA_DIR = dataDir ? path.resolve(dataDir) : config ? path.dirname(CONFIG_PATH) : profileDir;
+  VAULT_PATH = path.join(path.dirname(CONFIG_PATH), 'secrets.vault');
+  dataDirFlag = dataDir ? DATA_DIR : null;
+}
+
+// Takes --profile, --config and --data-dir (also --flag=value) out of argv and selects them.
+// Returns the remaining arguments.
+export function applyPathFlags(argv) {
+  const flags = { profile: 'profile', config: 'config', 'data-dir': 'dataDir' };
+  const selected = {};
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [, flag, inline] = argv[i].match(/^--(profile|config|data-dir)(?:=(.*))?$/) || [];
+    if (!flag) {
+      rest.push(argv[i]);
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (!value) throw new Error(`--${flag} needs a value`);
+    selected[flags[flag]] = value;
+  }
+  if (Object.keys(selected).length) {
+    selectProfile({
+      profile: selected.profile ?? process.env.EMPLI_PROFILE,
+      config: selected.config ?? process.env.EMPLI_CONFIG,
+      dataDir: selected.dataDir ?? process.env.EMPLI_DATA_DIR,
+    });
+  }
+  return rest;
+}
+
+// strict: return null instead of the defaults when config.json can't be read or
+// fails validation, so a half-written file doesn't switch every channel off on reload.
+// validate: false skips the schema check (`empli config validate` reports it itself);
+// resolve: false keeps secret references as written (for printing the config)
+export function loadConfig({ strict = false, validate = true, resolve = true } = {}) {
+  let config = structuredClone(DEFAULT_CONFIG);
 
   // Load from file
   if (fs.existsSync(CONFIG_PATH)) {
     try {
       const fileConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
       config = deepMerge(config, fileConfig);
-      console.log(`[Config] Loaded from ${CONFIG_PATH}`);
+      log.info('Loaded config', { path: CONFIG_PATH });
+      if (isExposed(CONFIG_PATH)) {
+        log.warn('Config file is readable by other users', { path: CONFIG_PATH, fix: `chmod 600 ${CONFIG_PATH}` });
+      }
     } catch (err) {
-      console.error(`[Config] Error reading ${CONFIG_PATH}:`, err.message);
+      log.error('Error reading config', { path: CONFIG_PATH, error: err.message });
+      if (strict) return null;
     }
   }
 
   // Override with env vars
-  if (process.env.EMPLI_ENDPOINT) config.endpoint = process.env.EMPLI_ENDPOINT;
+  const endpoint = process.env.EMPLI_ENDPOINT || process.env.AIRMINAL_ENDPOINT;
+  if (endpoint) config.endpoint = endpoint;
   if (process.env.TELEGRAM_BOT_TOKEN) {
     config.channels.telegram.enabled = true;
     config.channels.telegram.token = process.env.TELEGRAM_BOT_TOKEN;
@@ -99,13 +282,55 @@ export function loadConfig() {
     config.channels.whatsapp.enabled = true;
   }
 
+  // EMPLI__* beats everything above
+  const envErrors = applyEnvOverrides(config);
+  for (const { name, message } of envErrors) log.error('Config env override invalid', { name, problem: message });
+  if (strict && envErrors.length) return null;
+
+  config.dataDir = dataDirFlag || config.dataDir || DATA_DIR;
+
+  if (resolve) {
+    const errors = resolveSecrets(config, VAULT_PATH);
+    for (const { path: at, message } of errors) log.error('Config secret unavailable', { path: at, problem: message });
+    if (strict && errors.length) return null;
+  }
+
+  if (validate) {
+    const issues = validateConfig(config);
+    for (const { path: at, message, severity } of issues) {
+      log[severity === 'error' ? 'error' : 'warn'](`Config ${severity}`, { path: at, problem: message });
+    }
+    if (strict && issues.some(i => i.severity === 'error')) return null;
+  }
+
   return config;
 }
 
 export function saveConfig(config) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf-8');
-  console.log(`[Config] Saved to ${CONFIG_PATH}`);
+  // The profile's own directory isn't pinned, so the file can be copied to another profile
+  const { dataDir, ...rest } = config;
+  writePrivateFile(CONFIG_PATH, JSON.stringify(dataDir && dataDir !== DATA_DIR ? config : rest, null, 2));
+  log.info('Saved config', { path: CONFIG_PATH });
+}
+
+// EMPLI__A__B__C=value → config.a.b.c, converted to the setting's type
+// (true/false, numbers, JSON or comma-separated lists). Returns [{ name, message }].
+function applyEnvOverrides(config) {
+  const errors = [];
+  const names = Object.keys(process.env).filter(name => name.startsWith(ENV_PREFIX)).sort();
+  for (const name of names) {
+    const parts = canonicalPath(name.slice(ENV_PREFIX.length).split('__').filter(Boolean));
+    if (!parts?.length) {
+      log.warn('Unknown config env var, ignored', { name });
+      continue;
+    }
+    try {
+      setPath(config, parts, coerceValue(process.env[name], schemaAt(parts)));
+    } catch (err) {
+      errors.push({ name, message: err.message });
+    }
+  }
+  return errors;
 }
 
 function deepMerge(target, source) {
@@ -120,4 +345,4 @@ function deepMerge(target, source) {
   return result;
 }
 
-export { DATA_DIR, CONFIG_PATH };
+export { PROFILE, DATA_DIR, CONFIG_PATH, VAULT_PATH };
@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════
+// Event Webhooks — push gateway events to monitoring, CRM, etc.
+// Signed JSON POSTs with retries; deliveries that keep failing are
+// appended to a dead-letter file instead of being dropped silently.
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isRetryableStatus, withRetry } from './resilience.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Events');
+
+// Webhook event name → gateway event it comes from
+export const EVENT_TYPES = {
+  message_received: 'message',
+  reply_sent: 'reply',
+  agent_error: 'agent_error',
+  channel_status_changed: 'channel_status',
+  tool_executed: 'tool',
+};
+
+export class EventWebhooks {
+  constructor(gateway, config = {}) {
+    this.gateway = gateway;
+    this.config = config;
+    this.deadLetterPath = config.deadLetterPath || path.join(gateway.dataDir, 'events-dead-letter.jsonl');
+    this.inFlight = new Set();    // delivery promises, awaited on stop()
+    this.stats = { delivered: 0, retried: 0, deadLettered: 0 };
+    this.listeners = [];
+
+    this.hooks = (config.webhooks || [])
+      .filter(hook => {
+        if (!hook?.url) log.warn('Skipping webhook without a url');
+        return hook?.url;
+      })
+      .map(hook => {
+        const events = hook.events?.length ? hook.events : ['*'];
+        const unknown = events.filter(e => e !== '*' && !EVENT_TYPES[e]);
+        if (unknown.length) {
+          log.warn('Unknown event type(s) in webhook subscription', { url: hook.url, unknown, valid: Object.keys(EVENT_TYPES) });
+        }
+        return { ...hook, events };
+      });
+
+    for (const [type, source] of Object.entries(EVENT_TYPES)) {
+      const handler = (data) => {
+        // Failed replies are reported once, as agent_error
+        if (type === 'reply_sent' && data.error) return;
+        this.emit(type, data);
+      };
+      gateway.on(source, handler);
+      this.listeners.push([source, handler]);
+    }
+
+    if (this.hooks.length) {
+      log.info('Sending events to webhooks', { count: this.hooks.length });
+    }
+  }
+
+  // Deliver one event to every webhook subscribed to it (in the background)
+  emit(type, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      event: type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+    for (const hook of this.hooks) {
+      if (!hook.events.includes('*') && !hook.events.includes(type)) continue;
+      const promise = this._deliver(hook, delivery).finally(() => this.inFlight.delete(promise));
+      this.inFlight.add(promise);
+    }
+  }
+
+  async _deliver(hook, delivery) {
+    const body = JSON.stringify(delivery);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'empli-gateway',
+      'X-Empli-Event': delivery.event,
+      'X-Empli-Delivery': delivery.id,
+      ...(hook.headers || {}),
+    };
+    if (hook.secret) {
+      headers['X-Empli-Signature'] = `sha256=${crypto.createHmac('sha256', hook.secret).update(body).digest('hex')}`;
+    }
+
+    let attempts = 0;
+    try {
+      await withRetry(async () => {
+        attempts++;
+        const res = await fetch(hook.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.config.timeout || 10000),
+        });
+        if (!res.ok) {
+          const err = new Error(`HTTP ${res.status}`);
+          err.retryable = isRetryableStatus(res.status);
+          throw err;
+        }
+      }, {
+        retries: this.config.retries ?? 5,
+        baseDelay: this.config.retryDelay ?? 2000,
+        maxDelay: this.config.maxRetryDelay ?? 60000,
+        onRetry: (err, attempt, delay) => {
+          this.stats.retried++;
+          log.warn('Event delivery failed, retrying', { event: delivery.event, url: hook.url, error: err.message, attempt, delayMs: Math.round(delay) });
+        },
+      });
+      this.stats.delivered++;
+    } catch (err) {
+      log.error('Event delivery gave up', { event: delivery.event, url: hook.url, attempts, error: err.message });
+      this._deadLetter(hook, delivery, err, attempts);
+    }
+  }
+
+  _deadLetter(hook, delivery, err, attempts) {
+    this.stats.deadLettered++;
+    const entry = { failedAt: new Date().toISOString(), url: hook.url, attempts, error: err.message, delivery };
+    try {
+      fs.mkdirSync(path.dirname(this.deadLetterPath), { recursive: true });
+      fs.appendFileSync(this.deadLetterPath, JSON.stringify(entry) + '\n');
+    } catch (writeErr) {
+      log.error('Couldn\'t write dead letter', { error: writeErr.message });
+    }
+  }
+
+  getStatus() {
+    return { webhooks: this.hooks.length, pending: this.inFlight.size, ...this.stats };
+  }
+
+  // Stop listening and give deliveries in progress a moment to finish
+  async stop(timeout = 5000) {
+    for (const [source, handler] of this.listeners) this.gateway.off(source, handler);
+    this.listeners = [];
+    if (!this.inFlight.size) return;
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.inFlight]),
+      new Promise(resolve => { timer = setTimeout(resolve, timeout); }),
+    ]);
+    clearTimeout(timer);
+  }
+}
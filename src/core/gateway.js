@@ -3,28 +3,95 @@
 // The brain: manages sessions, routes messages, calls your agent
 // ═══════════════════════════════════════════════════════════════
 
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ToolRegistry } from '../tools/registry.js';
+import { PermissionSystem } from '../tools/permissions.js';
+import { ApprovalManager } from './approvals.js';
+import { isStreamResponse, readAgentStream } from './stream.js';
+import { Scheduler } from './scheduler.js';
+import { MediaStore, describeAttachment } from './media.js';
+import { createSessionStore } from './session-store.js';
+import { AgentError, CircuitBreaker, isRetryableStatus, withRetry } from './resilience.js';
+import { EventWebhooks } from './event-webhooks.js';
+import { Metrics } from './metrics.js';
+import { createLogger } from './logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-export class Gateway {
+const log = createLogger('Gateway');
+
+// Events (for dashboards and other observers):
+//   message  — inbound message { channel, chatId, sessionKey, sender, text, attachments, timestamp }
+//   reply    — agent reply { channel, chatId, sessionKey, text, attachments, error, timestamp }
+//   outbound — proactive send { channel, chatId, sessionKey, text, attachments, timestamp }
+//   approval_request / approval_settled — see ApprovalManager
+//   channel  — channel enabled/disabled/removed { name, enabled, removed, status, error }
+//   channel_status — a channel's status changed { name, status, previous, timestamp }
+//   agent_call — one HTTP request to the agent { channel, endpoint, durationMs, error, timestamp }
+//   agent_error — every endpoint failed { channel, chatId, sessionKey, endpoints, error, timestamp }
+//   tool     — a tool call finished { channel, chatId, sessionKey, tool, input, permission, error, durationMs, timestamp }
+export class Gateway extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.channels = new Map();       // channelName → channel instance
-    this.sessions = new Map();       // sessionKey → { history, lastActivity }
+    this.disabledChannels = new Set(); // stopped at runtime via disableChannel()
+    this.sessions = new Map();       // sessionKey → { history, lastActivity } (in-memory cache)
     this.locks = new Map();          // sessionKey → Promise chain
+    this.queueDepth = new Map();     // sessionKey → { channel, depth }: messages running or waiting on its lock
+    this.breakers = new Map();       // endpoint → CircuitBreaker
     this.dataDir = config.dataDir || path.join(process.env.HOME || '.', '.empli');
-    this.sessionsDir = path.join(this.dataDir, 'sessions');
     this.memoryDir = path.join(this.dataDir, 'memory');
 
     // Ensure dirs exist
-    fs.mkdirSync(this.sessionsDir, { recursive: true });
     fs.mkdirSync(this.memoryDir, { recursive: true });
 
-    console.log(`[Gateway] Data dir: ${this.dataDir}`);
-    console.log(`[Gateway] Agent endpoint: ${config.endpoint}`);
+    // Conversation history on disk (JSONL files or SQLite) — the full archive.
+    // Only the in-memory context window is trimmed to maxHistory.
+    this.store = createSessionStore(this.dataDir, config.sessions);
+
+    // Turns that fall out of the window can be compressed into a running summary.
+    // Set gateway.summarizer = async ({ sessionKey, summary, messages }) => newSummary
+    // to summarize in-process instead of asking the agent.
+    this.summarizer = null;
+
+    // Attachments (inbound downloads + files from the agent)
+    this.media = new MediaStore(this.dataDir, config.media);
+
+    // Local tool execution (agent responds with tool_calls, we run them here)
+    const toolsConfig = config.tools || {};
+    this.toolsEnabled = toolsConfig.enabled === true;   // opt-in, like the config default
+    this.tools = this.toolsEnabled
+      ? new ToolRegistry({
+        ...toolsConfig,
+        dataDir: this.dataDir,
+        local: {
+          memoryDir: this.memoryDir,
+          onScheduledTask: (task) => this.scheduler?.add(task),
+          onCancelScheduledTask: (name) => this.scheduler?.remove(name),
+          ...toolsConfig.local,
+        },
+      })
+      : null;
+    this.permissions = this.toolsEnabled ? new PermissionSystem(path.join(this.dataDir, 'permissions.json')) : null;
+    this.approvals = this.toolsEnabled ? new ApprovalManager(this, this.permissions, toolsConfig) : null;
+    if (this.toolsEnabled && !toolsConfig.approvers?.length) {
+      log.warn('tools.approvers is empty, tool calls that need approval will be refused');
+    }
+
+    // Gateway events POSTed to monitoring/CRM webhooks (config.events.webhooks)
+    this.events = config.events?.webhooks?.length ? new EventWebhooks(this, config.events) : null;
+
+    // Prometheus metrics, served by WebChat at /metrics
+    this.metrics = new Metrics(this);
+
+    // Scheduled tasks (schedule_task tool + config.cron)
+    this.scheduler = config.scheduler?.enabled !== false ? new Scheduler(this, config.scheduler) : null;
+
+    log.info('Data dir', { path: this.dataDir });
+    log.info('Agent endpoint', { endpoint: config.endpoint });
   }
 
   // ─── Channel Management ───
@@ -32,207 +99,758 @@ export class Gateway {
   registerChannel(name, channel) {
     this.channels.set(name, channel);
     channel.gateway = this;
-    console.log(`[Gateway] Registered channel: ${name}`);
+    log.info('Registered channel', { channel: name });
   }
 
   async startAll() {
-    for (const [name, channel] of this.channels) {
-      try {
-        await channel.start();
-        console.log(`[Gateway] ✓ ${name} started`);
-      } catch (err) {
-        console.error(`[Gateway] ✗ ${name} failed:`, err.message);
-      }
+    for (const name of this.channels.keys()) {
+      await this.startChannel(name);
     }
-    console.log(`[Gateway] All channels initialized`);
+    log.info('All channels initialized');
+
+    // Start after channels so catch-up runs can deliver their replies
+    await this.scheduler?.start(this.config.cron || []);
   }
 
   async stopAll() {
+    this.scheduler?.stop();
+    this.approvals?.cancelAll();
     for (const [name, channel] of this.channels) {
       try {
         await channel.stop();
-        console.log(`[Gateway] ${name} stopped`);
+        log.info('Channel stopped', { channel: name });
       } catch (err) {
         // Ignore stop errors
       }
     }
+    await this.events?.stop();
+    this.store.close();
+  }
+
+  // Returns the start error message, or null once the channel is running
+  async startChannel(name) {
+    const channel = this.channels.get(name);
+    try {
+      await channel.start();
+      log.info('Channel started', { channel: name });
+      return null;
+    } catch (err) {
+      channel.status = 'error';
+      log.error('Channel failed to start', { channel: name, error: err.message });
+      return err.message;
+    }
+  }
+
+  // Stop a channel and forget it (config reload). Its sessions stay on disk.
+  async removeChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return false;
+    try {
+      await channel.stop();
+    } catch (err) {
+      log.error('Error stopping channel', { channel: name, error: err.message });
+    }
+    this.channels.delete(name);
+    this.disabledChannels.delete(name);
+    log.info('Channel removed', { channel: name });
+    this.emit('channel', { name, enabled: false, removed: true, status: 'stopped' });
+    return true;
+  }
+
+  // Stop a channel until enableChannel() — runtime only, config is untouched.
+  // WebChat can't be disabled: it serves the API and dashboard used to turn it back on.
+  async disableChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return { error: `Unknown channel: ${name}` };
+    if (name === 'webchat') return { error: 'webchat hosts the admin API and can\'t be disabled' };
+    if (this.disabledChannels.has(name)) return { ok: true, enabled: false };
+
+    this.disabledChannels.add(name);
+    try {
+      await channel.stop();
+    } catch (err) {
+      log.error('Error stopping channel', { channel: name, error: err.message });
+    }
+    log.info('Channel disabled', { channel: name });
+    this.emit('channel', { name, enabled: false, status: channel.getStatus() });
+    return { ok: true, enabled: false };
+  }
+
+  async enableChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return { error: `Unknown channel: ${name}` };
+    if (!this.disabledChannels.has(name)) return { ok: true, enabled: true };
+
+    this.disabledChannels.delete(name);
+    const error = await this.startChannel(name);
+    if (error) {
+      this.emit('channel', { name, enabled: true, status: channel.getStatus(), error });
+      return { ok: false, enabled: true, error };
+    }
+    log.info('Channel enabled', { channel: name });
+    this.emit('channel', { name, enabled: true, status: channel.getStatus() });
+    return { ok: true, enabled: true };
+  }
+
+  // ─── Outbound (proactive) Messages ───
+
+  // Push a message to a chat without an inbound message first.
+  // content: string or { text, attachments }. Recorded in the chat's session
+  // history unless record is false (e.g. the reply is already there).
+  async sendTo(channel, chatId, content, { record = true } = {}) {
+    const ch = this.channels.get(channel);
+    if (!ch) throw new Error(`Unknown channel: ${channel}`);
+    if (this.disabledChannels.has(channel)) throw new Error(`Channel ${channel} is disabled`);
+
+    if (content?.attachments?.length) {
+      content = { ...content, attachments: await this._resolveAttachments(channel, content.attachments) };
+    }
+
+    await ch.sendMessage(chatId, content);
+    log.info('Outbound message sent', { channel, chatId });
+    this.emit('outbound', {
+      channel,
+      chatId,
+      sessionKey: `${channel}:${chatId}`,
+      text: (typeof content === 'string' ? content : content?.text) || '',
+      attachments: content?.attachments?.map(describeAttachment) || [],
+      timestamp: Date.now(),
+    });
+
+    if (record) {
+      const text = typeof content === 'string' ? content : content?.text;
+      const sessionKey = `${channel}:${chatId}`;
+      // Go through the session lock so we don't interleave with a reply in progress
+      await this._withLock(sessionKey, () => {
+        const session = this._loadSession(sessionKey, channel);
+        this._appendHistory(sessionKey, session, {
+          role: 'assistant',
+          content: text || '',
+          attachments: content?.attachments?.map(describeAttachment),
+          timestamp: Date.now(),
+          outbound: true,
+        });
+      }, channel).catch(err => {
+        log.error('Error recording outbound message', { sessionKey, error: err.message });
+      });
+    }
+    return true;
   }
 
   // ─── Message Processing (with per-session locking) ───
 
-  async handleMessage({ channel, chatId, chatName, sender, text, timestamp, metadata }) {
+  async handleMessage({ channel, chatId, chatName, sender, senderId, text, attachments, timestamp, metadata, onPartial }) {
     const sessionKey = `${channel}:${chatId}`;
 
+    // Approval replies must bypass the session lock — the message they answer is holding it
+    if (this.approvals?.handleReply({ channel, chatId, senderId, text })) {
+      return null;
+    }
+
     // Per-session lock: queue messages so they process one at a time
-    const prevLock = this.locks.get(sessionKey) || Promise.resolve();
-    const currentLock = prevLock.then(() =>
-      this._processMessage({ channel, chatId, chatName, sender, text, timestamp, sessionKey, metadata })
-    ).catch(err => {
-      console.error(`[Gateway] Error processing ${sessionKey}:`, err.message);
+    const run = () =>
+      this._processMessage({ channel, chatId, chatName, sender, senderId, text, attachments, timestamp, sessionKey, metadata, onPartial });
+    return this._withLock(sessionKey, run, channel).catch(err => {
+      log.error('Error processing message', { sessionKey, error: err.message });
       return null;
     });
-    this.locks.set(sessionKey, currentLock);
+  }
 
+  // Run fn after everything already queued for this session (channel labels the queue in metrics)
+  _withLock(sessionKey, fn, channel = null) {
+    const queue = this.queueDepth.get(sessionKey) || { channel, depth: 0 };
+    queue.channel = queue.channel || channel;
+    queue.depth++;
+    this.queueDepth.set(sessionKey, queue);
+    const prevLock = this.locks.get(sessionKey) || Promise.resolve();
+    const currentLock = prevLock.then(fn).finally(() => {
+      if (--queue.depth === 0) {
+        // Nothing else queued — drop the settled chain
+        this.queueDepth.delete(sessionKey);
+        this.locks.delete(sessionKey);
+      }
+    });
+    this.locks.set(sessionKey, currentLock.catch(() => {}));
     return currentLock;
   }
 
-  async _processMessage({ channel, chatId, chatName, sender, text, timestamp, sessionKey, metadata }) {
+  async _processMessage({ channel, chatId, chatName, sender, senderId, text, attachments, timestamp, sessionKey, metadata, onPartial }) {
     // Load or create session
-    const session = this._loadSession(sessionKey);
+    const session = this._loadSession(sessionKey, channel);
 
     // Add user message to history
-    session.history.push({
+    this._appendHistory(sessionKey, session, {
       role: 'user',
-      content: text,
+      content: text || '',
+      attachments: attachments?.length ? attachments.map(describeAttachment) : undefined,
       sender,
       timestamp: timestamp || Date.now(),
       channel,
     });
+    this.emit('message', {
+      channel,
+      chatId,
+      sessionKey,
+      sender,
+      text: text || '',
+      attachments: attachments?.map(describeAttachment) || [],
+      timestamp: timestamp || Date.now(),
+    });
 
-    // Keep history manageable (last N messages for API context)
-    const maxHistory = this.config.maxHistory || 20;
-    if (session.history.length > maxHistory) {
-      session.history = session.history.slice(-maxHistory);
-    }
-
-    // Resolve endpoint: per-channel override → default
-    const channelConfig = this.config.channels?.[channel] || {};
-    const endpoint = channelConfig.endpoint || this.config.endpoint;
+    // Resolve endpoints: per-channel override → default, then fallbacks in order
+    const endpoints = this._endpoints(channel);
 
-    if (!endpoint) {
-      console.error(`[Gateway] No endpoint for channel ${channel} and no default set`);
+    if (!endpoints.length) {
+      log.error('No endpoint for channel and no default set', { channel });
+      this.emit('agent_error', { channel, chatId, sessionKey, endpoints, error: 'no endpoint configured', timestamp: Date.now() });
       return null;
     }
 
+    await this._summarize(sessionKey, session, endpoints[0]);
+
     // Build context for the agent
     const context = {
-      platform: channel,
+      platform: this.channels.get(channel)?.type || channel,   // "telegram" for telegram:support too
+      channel,
       chatId,
       chatName: chatName || sender,
       sender,
       history: session.history,
+      summary: session.summary,
       conversationId: session.conversationId,
+      attachments: attachments?.length ? attachments.map(a => this.media.toAgentPayload(a)) : null,
       metadata,
     };
 
-    // Call Empli agent
-    const agentResponse = await this._callAgent(endpoint, context);
+    // Call Empli agent, running any requested tools until it gives a final reply
+    let agentResponse = await this._callAgent(endpoints, context, null, onPartial);
+    const maxIterations = this.config.tools?.maxIterations || 10;
+    let iterations = 0;
+
+    while (agentResponse?.toolCalls?.length && this.tools) {
+      if (++iterations > maxIterations) {
+        log.warn('Tool loop limit reached', { sessionKey, maxIterations });
+        agentResponse = {
+          ...agentResponse,
+          toolCalls: [],
+          reply: `I stopped after ${maxIterations} rounds of tool calls without finishing. Try breaking the request into smaller steps.`,
+        };
+        break;
+      }
+      if (agentResponse.conversationId) context.conversationId = agentResponse.conversationId;
+
+      const toolResults = [];
+      for (const call of agentResponse.toolCalls) {
+        toolResults.push(await this._runToolCall(call, { channel, chatId, senderId, sessionKey }));
+      }
+      agentResponse = await this._callAgent(endpoints, context, toolResults, onPartial);
+    }
 
-    if (!agentResponse || !agentResponse.reply) {
-      console.log(`[Gateway] No reply from agent for ${sessionKey}`);
+    if (!agentResponse) {
+      this.emit('reply', { channel, chatId, sessionKey, text: '', attachments: [], error: true, timestamp: Date.now() });
+      return this._errorReply(channel, sessionKey);
+    }
+
+    if (!agentResponse.reply && !agentResponse.attachments?.length) {
+      log.info('No reply from agent', { sessionKey });
       return null;
     }
 
+    const replyAttachments = await this._resolveAttachments(channel, agentResponse.attachments);
+
     // Store conversation ID from agent (for session continuity)
-    if (agentResponse.conversationId) {
+    if (agentResponse.conversationId && agentResponse.conversationId !== session.conversationId) {
       session.conversationId = agentResponse.conversationId;
+      this._saveMeta(sessionKey, session);
     }
 
     // Add assistant response to history
-    session.history.push({
+    this._appendHistory(sessionKey, session, {
       role: 'assistant',
-      content: agentResponse.reply,
+      content: agentResponse.reply || '',
+      attachments: replyAttachments.length ? replyAttachments.map(describeAttachment) : undefined,
+      conversationId: agentResponse.conversationId || undefined,
+      timestamp: Date.now(),
+    });
+    this.emit('reply', {
+      channel,
+      chatId,
+      sessionKey,
+      text: agentResponse.reply || '',
+      attachments: replyAttachments.map(describeAttachment),
+      error: false,
       timestamp: Date.now(),
     });
-
-    session.lastActivity = Date.now();
-    this._saveSession(sessionKey, session);
 
     return {
-      reply: agentResponse.reply,
+      reply: agentResponse.reply || '',
+      attachments: replyAttachments,
       sessionKey,
     };
   }
 
-  // ─── Agent API ───
+  // Agent attachments arrive as { data | url | path } — store them locally for upload
+  async _resolveAttachments(channel, attachments) {
+    const resolved = [];
+    for (const attachment of attachments || []) {
+      try {
+        resolved.push(await this.media.resolveOutgoing(channel, attachment));
+      } catch (err) {
+        log.error('Dropping attachment', { channel, filename: attachment.filename, error: err.message });
+      }
+    }
+    return resolved;
+  }
 
-  async _callAgent(endpoint, context) {
-    try {
-      // Build the message to send to Empli
-      const body = {
-        message: context.history[context.history.length - 1].content,
-        platform: context.platform,
-        chatId: context.chatId,
-        chatName: context.chatName,
-        sender: context.sender,
-        conversationId: context.conversationId || null,
-        history: context.history.slice(-10).map(h => ({
-          role: h.role,
-          content: h.content,
-        })),
-      };
+  // ─── Tool Calls ───
+
+  async _runToolCall(call, context) {
+    const started = Date.now();
+    const { permission, ...result } = await this._executeToolCall(call, context);
+    this.emit('tool', {
+      channel: context.channel,
+      chatId: context.chatId,
+      sessionKey: context.sessionKey,
+      tool: call.name,
+      // Inputs can hold commands, file contents and credentials — only sent when asked for
+      input: this.config.events?.includeToolInput ? call.input : undefined,
+      permission,
+      error: result.output?.error || null,
+      durationMs: Date.now() - started,
+      timestamp: Date.now(),
+    });
+    return result;
+  }
 
-      const url = endpoint.endsWith('/')
-        ? `${endpoint}?route=chat`
-        : `${endpoint}/?route=chat`;
+  // result.permission (allowed | denied | approved | rejected | timeout | unsupported | no_approvers | unknown_tool)
+  // is for the tool event only — _runToolCall strips it before the result goes to the agent
+  async _executeToolCall(call, { channel, chatId, senderId, sessionKey }) {
+    const result = { tool_call_id: call.id, name: call.name, permission: 'allowed' };
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-        signal: AbortSignal.timeout(60000), // 60s timeout
-      });
+    if (!this.tools.has(call.name)) {
+      result.permission = 'unknown_tool';
+      result.output = { error: `Unknown tool: ${call.name}` };
+      return result;
+    }
 
-      if (!response.ok) {
-        const errText = await response.text().catch(() => '');
-        console.error(`[Gateway] Agent API error ${response.status}: ${errText.substring(0, 200)}`);
-        return null;
+    const decision = this.permissions.check(call.name, call.input);
+    if (decision === 'denied') {
+      log.warn('Tool denied', { sessionKey, tool: call.name });
+      result.permission = 'denied';
+      result.output = { error: `Permission denied: ${this.permissions.describeAction(call.name, call.input)}` };
+      return result;
+    }
+    if (decision === 'needs_approval') {
+      log.info('Tool needs approval', { sessionKey, tool: call.name });
+      const answer = await this.approvals.request({ channel, chatId, senderId, toolName: call.name, input: call.input });
+      if (answer !== 'approve' && answer !== 'always') {
+        result.permission = answer === 'deny' ? 'rejected' : answer;
+        const reason = answer === 'timeout' ? 'Approval timed out'
+          : answer === 'unsupported' ? `Approval required but ${channel} cannot ask for it`
+          : answer === 'no_approvers' ? 'Approval required but no tools.approvers are configured'
+          : 'Denied by user';
+        result.output = { error: `${reason}: ${this.permissions.describeAction(call.name, call.input)}` };
+        return result;
       }
+      result.permission = 'approved';
+    }
 
-      const data = await response.json();
+    // Scheduled tasks deliver their results back to the chat that created them
+    let input = call.input;
+    if (call.name === 'schedule_task' && (!input.channel || input.channel === channel)) {
+      input = { ...input, channel, chat_id: input.chat_id || chatId };
+    }
 
-      return {
-        reply: data.reply || data.response || data.text || null,
-        conversationId: data.conversationId || data.conversation_id || null,
-      };
+    log.info('Running tool', { sessionKey, tool: call.name });
+    try {
+      result.output = await this.tools.execute(call.name, input);
     } catch (err) {
-      console.error(`[Gateway] Agent API call failed:`, err.message);
-      return null;
+      // Executors return their promises un-awaited, so a rejection lands here
+      log.error('Tool failed', { sessionKey, tool: call.name, error: err.message });
+      result.output = { error: `${call.name} failed: ${err.message}` };
+    }
+    return result;
+  }
+
+  // ─── Agent API ───
+
+  // Per-channel overrides come from the running channel, so instances ("telegram:support") get their own
+  _channelConfig(channel) {
+    return this.channels.get(channel)?.config || {};
+  }
+
+  isStreaming(channel) {
+    const channelConfig = this._channelConfig(channel);
+    return channelConfig.stream ?? this.config.stream ?? false;
+  }
+
+  _endpoints(channel) {
+    const channelConfig = this._channelConfig(channel);
+    const endpoints = [
+      channelConfig.endpoint || this.config.endpoint,
+      ...(channelConfig.fallbackEndpoints || this.config.fallbackEndpoints || []),
+    ];
+    return [...new Set(endpoints.filter(Boolean))];
+  }
+
+  _breaker(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, new CircuitBreaker(endpoint, this.config.agent?.breaker));
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  // Reply sent when every endpoint failed (empty errorReply = stay silent)
+  _errorReply(channel, sessionKey) {
+    const channelConfig = this._channelConfig(channel);
+    const text = channelConfig.errorReply ?? this.config.agent?.errorReply;
+    if (!text) return null;
+    return { reply: text, attachments: [], sessionKey, error: true };
+  }
+
+  // Try each endpoint in order, retrying transient failures.
+  // Returns null only if all of them failed.
+  async _callAgent(endpoints, context, toolResults = null, onPartial = null) {
+    const stream = this.isStreaming(context.channel);
+    const agentConfig = this.config.agent || {};
+
+    // Build the message to send to Empli
+    const body = {
+      message: context.history[context.history.length - 1].content,
+      platform: context.platform,
+      channel: context.channel,
+      chatId: context.chatId,
+      chatName: context.chatName,
+      sender: context.sender,
+      conversationId: context.conversationId || null,
+      history: this._agentHistory(context.history).map(h => ({
+        role: h.role,
+        content: h.content,
+      })),
+    };
+
+    if (context.summary) {
+      body.summary = context.summary;
+    }
+
+    if (context.attachments) {
+      body.attachments = context.attachments;
+    }
+
+    if (this.tools && this.config.tools?.sendDefinitions !== false) {
+      body.tools = this.tools.getDefinitions();
+    }
+    if (toolResults) {
+      body.tool_results = toolResults;
+    }
+    if (stream) {
+      body.stream = true;
+    }
+
+    // Once text has reached the user, a retry would repeat it — give up instead
+    let streamed = false;
+    let lastError = 'circuit open';
+    const partial = onPartial && ((text, delta) => {
+      streamed = true;
+      onPartial(text, delta);
+    });
+
+    for (const endpoint of endpoints) {
+      const breaker = this._breaker(endpoint);
+      if (!breaker.canRequest()) {
+        log.warn('Skipping endpoint, circuit open', { endpoint });
+        continue;
+      }
+
+      try {
+        return await withRetry(async (attempt) => {
+          if (attempt > 0 && !breaker.canRequest()) {
+            throw new AgentError('circuit open', { retryable: false });
+          }
+          const started = Date.now();
+          try {
+            const result = await this._requestAgent(endpoint, body, stream, partial);
+            breaker.recordSuccess();
+            this.emit('agent_call', { channel: context.channel, endpoint, durationMs: Date.now() - started, error: null, timestamp: Date.now() });
+            return result;
+          } catch (err) {
+            this.emit('agent_call', { channel: context.channel, endpoint, durationMs: Date.now() - started, error: err.message, timestamp: Date.now() });
+            // 4xx means the endpoint is up, it just didn't like this request
+            if (err.retryable === false) breaker.recordSuccess();
+            else breaker.recordFailure(err);
+            if (streamed) err.retryable = false;
+            throw err;
+          }
+        }, {
+          retries: agentConfig.retries ?? 2,
+          baseDelay: agentConfig.retryDelay,
+          maxDelay: agentConfig.maxRetryDelay,
+          onRetry: (err, attempt, delay) => {
+            log.warn('Agent call failed, retrying', { endpoint, error: err.message, attempt, delayMs: Math.round(delay) });
+          },
+        });
+      } catch (err) {
+        log.error('Agent call failed', { endpoint, error: err.message });
+        lastError = err.message;
+        if (streamed) break;
+      }
     }
+
+    this.emit('agent_error', {
+      channel: context.channel,
+      chatId: context.chatId,
+      sessionKey: `${context.channel}:${context.chatId}`,
+      endpoints,
+      error: lastError,
+      timestamp: Date.now(),
+    });
+    return null;
+  }
+
+  async _requestAgent(endpoint, body, stream, onPartial) {
+    const agentConfig = this.config.agent || {};
+    const url = endpoint.endsWith('/')
+      ? `${endpoint}?route=chat`
+      : `${endpoint}/?route=chat`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': stream ? 'text/event-stream, application/x-ndjson, application/json' : 'application/json',
+      },
+      body: JSON.stringify(body),
+      // Streams can legitimately run long; plain requests get 60s
+      signal: AbortSignal.timeout(stream ? agentConfig.streamTimeout || 300000 : agentConfig.timeout || 60000),
+    });
+
+    if (!response.ok) {
+      const errText = await response.text().catch(() => '');
+      throw new AgentError(`HTTP ${response.status}: ${errText.substring(0, 200)}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+      });
+    }
+
+    // The agent may stream even if we didn't ask, or answer with plain JSON if we did
+    const data = isStreamResponse(response)
+      ? await readAgentStream(response, onPartial)
+      : await response.json();
+
+    return {
+      reply: data.reply || data.response || data.text || null,
+      conversationId: data.conversationId || data.conversation_id || null,
+      toolCalls: normalizeToolCalls(data.tool_calls || data.toolCalls),
+      attachments: Array.isArray(data.attachments) ? data.attachments : null,
+    };
   }
 
   // ─── Session Persistence ───
 
-  _loadSession(sessionKey) {
+  // channel is null when the caller only has the key (admin resets)
+  _loadSession(sessionKey, channel = null) {
     // Check memory first
     if (this.sessions.has(sessionKey)) {
-      return this.sessions.get(sessionKey);
+      const session = this.sessions.get(sessionKey);
+      session.channel = session.channel || channel;
+      return session;
     }
 
-    // Try loading from disk
-    const filePath = this._sessionPath(sessionKey);
-    let session = { history: [], conversationId: null, lastActivity: Date.now() };
+    // Try loading from the store
+    const session = {
+      channel,                // stored with the archive — the key alone doesn't say where the chat id starts
+      history: [],
+      summary: null,
+      summarizedCount: 0,     // archived messages already folded into the summary
+      archived: 0,            // messages in the archive
+      contextStart: 0,        // archive index the agent's context starts at (moved by a reset)
+      conversationId: null,
+      dropped: [],
+      lastActivity: Date.now(),
+    };
 
-    if (fs.existsSync(filePath)) {
-      try {
-        const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
-        session.history = lines.map(l => JSON.parse(l));
-        // Extract conversationId from last assistant message if present
+    try {
+      const maxHistory = this.config.maxHistory || 20;
+      const meta = this.store.getMeta(sessionKey);
+      session.summary = meta.summary || null;
+      session.summarizedCount = meta.summarizedCount || 0;
+      session.conversationId = meta.conversationId || null;
+      session.contextStart = meta.contextStart || 0;
+
+      // Load before counting — the JSONL store counts the file while reading it
+      const loadRecent = (limit) => {
+        const recent = this.store.load(sessionKey, { limit });
+        session.archived = this.store.count(sessionKey);
+        // Nothing from before the last reset
+        return recent.slice(Math.max(0, session.contextStart - (session.archived - recent.length)));
+      };
+
+      if (this._summarizing()) {
+        // Pick up turns that left the window but weren't summarized before a restart
+        const recent = loadRecent(maxHistory + 100);
+        const firstIndex = session.archived - recent.length;
+        session.history = recent.slice(-maxHistory);
+        session.dropped = recent.slice(0, -maxHistory)
+          .filter((h, i) => firstIndex + i >= session.summarizedCount);
+      } else {
+        session.history = loadRecent(maxHistory);
+      }
+
+      // Sessions without meta (older archives) keep the id on their assistant messages
+      if (!session.conversationId) {
         const lastAssistant = [...session.history].reverse().find(h => h.role === 'assistant');
-        if (lastAssistant?.conversationId) {
-          session.conversationId = lastAssistant.conversationId;
-        }
-      } catch (err) {
-        console.warn(`[Gateway] Failed to load session ${sessionKey}:`, err.message);
-        session = { history: [], conversationId: null, lastActivity: Date.now() };
+        session.conversationId = lastAssistant?.conversationId || null;
       }
+    } catch (err) {
+      log.warn('Failed to load session', { sessionKey, error: err.message });
     }
 
     this.sessions.set(sessionKey, session);
     return session;
   }
 
-  _saveSession(sessionKey, session) {
+  // Append to the archive, keep the last N messages in memory for API context
+  _appendHistory(sessionKey, session, entry) {
+    const maxHistory = this.config.maxHistory || 20;
+    session.history.push(entry);
+    if (session.history.length > maxHistory) {
+      const dropped = session.history.splice(0, session.history.length - maxHistory);
+      if (this._summarizing()) session.dropped.push(...dropped);
+    }
+    session.lastActivity = Date.now();
     this.sessions.set(sessionKey, session);
 
-    const filePath = this._sessionPath(sessionKey);
-    const data = session.history.map(h => JSON.stringify(h)).join('\n') + '\n';
-    fs.writeFileSync(filePath, data, 'utf-8');
+    try {
+      this.store.append(sessionKey, [entry], session.channel);
+      session.archived++;
+    } catch (err) {
+      log.error('Failed to save session', { sessionKey, error: err.message });
+    }
+  }
+
+  _saveMeta(sessionKey, session) {
+    try {
+      this.store.setMeta(sessionKey, {
+        summary: session.summary,
+        summarizedCount: session.summarizedCount,
+        contextStart: session.contextStart,
+        conversationId: session.conversationId,
+        updatedAt: Date.now(),
+      });
+    } catch (err) {
+      log.error('Failed to save session meta', { sessionKey, error: err.message });
+    }
+  }
+
+  // ─── Summaries ───
+
+  // The summary starts where the loaded window ends, so a summarizing session sends all of it
+  _agentHistory(history) {
+    if (this._summarizing()) return history;
+    return history.slice(-(this.config.agent?.historyLimit || 10));
+  }
+
+  _summarizing() {
+    return !!this.summarizer || !!this.config.sessions?.summarize;
+  }
+
+  // Fold turns that left the context window into the running summary
+  async _summarize(sessionKey, session, endpoint) {
+    if (!session.dropped?.length) return;
+    const messages = session.dropped;
+
+    try {
+      const summary = this.summarizer
+        ? await this.summarizer({ sessionKey, summary: session.summary, messages })
+        : await this._requestSummary(this.config.sessions?.summaryEndpoint || endpoint, sessionKey, session.summary, messages);
+      if (!summary) throw new Error('empty summary');
+
+      session.summary = summary;
+      session.summarizedCount = session.archived - session.history.length;
+      session.dropped = [];
+      this._saveMeta(sessionKey, session);
+      log.info('Summarized older messages', { sessionKey, count: messages.length });
+    } catch (err) {
+      // Keep the turns and try again next message (bounded, the archive has them all)
+      session.dropped = messages.slice(-100);
+      log.warn('Summary failed', { sessionKey, error: err.message });
+    }
+  }
+
+  async _requestSummary(endpoint, sessionKey, summary, messages) {
+    const url = endpoint.endsWith('/')
+      ? `${endpoint}?route=summarize`
+      : `${endpoint}/?route=summarize`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionKey,
+        summary: summary || null,
+        messages: messages.map(h => ({ role: h.role, content: h.content, sender: h.sender, timestamp: h.timestamp })),
+      }),
+      signal: AbortSignal.timeout(60000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.summary || null;
+  }
+
+  // Search stored history: { sessionKey, channel, chatId, sender, role, since, until, text, limit }
+  searchSessions(filter) {
+    return this.store.query(filter);
+  }
+
+  // ─── Session Management ───
+
+  listSessions({ channel, limit = 50, offset = 0 } = {}) {
+    let sessions = this.store.list();
+    if (channel) sessions = sessions.filter(s => s.channel === channel);
+    return {
+      sessions: sessions.slice(offset, offset + limit).map(s => ({ ...s, active: this.sessions.has(s.sessionKey) })),
+      total: sessions.length,
+      limit,
+      offset,
+    };
+  }
+
+  // Archived messages, oldest first. offset counts back from the newest message.
+  getSessionMessages(sessionKey, { limit = 50, offset = 0 } = {}) {
+    const messages = this.store.load(sessionKey, { limit, offset });
+    const total = this.store.count(sessionKey);
+    return { sessionKey, messages, total, limit, offset, hasMore: offset + messages.length < total };
+  }
+
+  // Start a fresh conversation — the archive is kept, the agent just stops seeing it
+  resetSession(sessionKey) {
+    return this._withLock(sessionKey, () => {
+      if (!this.sessions.has(sessionKey) && !this.store.count(sessionKey)) return false;
+      const session = this._loadSession(sessionKey);
+      session.history = [];
+      session.dropped = [];
+      session.summary = null;
+      session.conversationId = null;
+      session.contextStart = session.archived;
+      session.summarizedCount = session.archived;
+      this._saveMeta(sessionKey, session);
+      log.info('Session reset', { sessionKey });
+      return true;
+    });
   }
 
-  _sessionPath(sessionKey) {
-    const safe = sessionKey.replace(/[^a-zA-Z0-9_-]/g, '_');
-    return path.join(this.sessionsDir, `${safe}.jsonl`);
+  // Remove the session and its archive for good
+  deleteSession(sessionKey) {
+    return this._withLock(sessionKey, () => {
+      this.sessions.delete(sessionKey);
+      const deleted = this.store.delete(sessionKey);
+      if (deleted) log.info('Session deleted', { sessionKey });
+      return deleted;
+    });
   }
 
   // ─── Session Cleanup ───
@@ -271,21 +889,54 @@ export class Gateway {
 
   // ─── Status ───
 
-  getStatus() {
+  // redacted: leave out endpoints, breaker details and paths (for less-trusted callers)
+  getStatus({ redacted = false } = {}) {
     const channels = {};
     for (const [name, ch] of this.channels) {
-      const channelConfig = this.config.channels?.[name] || {};
-      const resolvedEndpoint = channelConfig.endpoint || this.config.endpoint;
+      const resolvedEndpoint = ch.config?.endpoint || this.config.endpoint;
       channels[name] = {
+        type: ch.type,
+        ...(ch.type !== name ? { instance: name.slice(ch.type.length + 1) } : {}),
         status: ch.getStatus ? ch.getStatus() : 'registered',
-        endpoint: resolvedEndpoint,
+        enabled: !this.disabledChannels.has(name),
+        ...(redacted ? {} : { endpoint: resolvedEndpoint }),
       };
     }
-    return {
-      defaultEndpoint: this.config.endpoint,
+
+    const status = {
       channels,
       activeSessions: this.sessions.size,
+      pendingApprovals: this.approvals?.listPending().length || 0,
+      scheduledTasks: this.scheduler?.jobs.size || 0,
+    };
+    if (redacted) return status;
+
+    return {
+      defaultEndpoint: this.config.endpoint,
+      ...status,
+      endpoints: Object.fromEntries([...this.breakers].map(([endpoint, breaker]) => [endpoint, breaker.getStatus()])),
+      sessionStore: this.config.sessions?.store || 'jsonl',
+      ...(this.events ? { eventWebhooks: this.events.getStatus() } : {}),
       dataDir: this.dataDir,
     };
   }
 }
+
+// Agents may send OpenAI-style ({ function: { name, arguments } }) or
+// Anthropic-style ({ name, input }) tool calls — normalize to one shape
+function normalizeToolCalls(calls) {
+  if (!Array.isArray(calls) || !calls.length) return null;
+  return calls.map((call, i) => {
+    let input = call.input ?? call.arguments ?? call.function?.arguments ?? {};
+    if (typeof input === 'string') {
+      try { input = JSON.parse(input); } catch { input = {}; }
+    }
+    // "null", numbers, arrays... — tools always get an object
+    if (!input || typeof input !== 'object' || Array.isArray(input)) input = {};
+    return {
+      id: call.id || call.tool_call_id || `call_${i}`,
+      name: call.name || call.function?.name,
+      input,
+    };
+  });
+}
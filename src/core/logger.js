@@ -0,0 +1,184 @@
+// ═══════════════════════════════════════════════════════════════
+// Logger — leveled, structured logs for every module
+// Text ("2026-01-01T12:00:00.000Z INFO  [Gateway] msg key=value") or one
+// JSON object per line, optional rotating file in <dataDir>/logs,
+// tokens always masked and message bodies hidden in privacy mode.
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names that carry conversation content — hidden when privacy is on
+const BODY_FIELDS = new Set(['text', 'reply', 'prompt', 'body', 'content', 'input', 'output', 'summary']);
+// Field names whose values are never logged
+const SECRET_FIELDS = /^(token|secret|password|apikey|api_key|authorization|authtoken|bottoken|apptoken|key)$/i;
+
+// Credentials that end up inside messages (URLs, error strings, headers)
+const TOKEN_PATTERNS = [
+  [/\bBearer\s+[\w.~+/=-]{8,}/gi, 'Bearer [REDACTED]'],
+  [/\bempli_[\w-]{16,}/g, 'empli_[REDACTED]'],
+  [/\b\d{6,12}:[\w-]{30,}/g, '[REDACTED]'],                      // Telegram bot token
+  [/\bxox[abposr]-[\w-]{10,}|\bxapp-[\w-]{10,}/g, '[REDACTED]'],  // Slack
+  [/\b[\w-]{24,}\.[\w-]{6}\.[\w-]{27,}/g, '[REDACTED]'],          // Discord
+  [/\bgh[pousr]_\w{20,}|\bgithub_pat_\w{20,}/g, '[REDACTED]'],    // GitHub
+  [/\bsecret_\w{20,}|\bntn_\w{20,}/g, '[REDACTED]'],              // Notion
+  [/\bsk-[\w-]{16,}|\bAIza[\w-]{30,}|\bya29\.[\w.-]{20,}/g, '[REDACTED]'],
+  [/([?&](?:token|key|api_key|access_token|secret|sig|signature)=)[^&\s"']+/gi, '$1[REDACTED]'],
+];
+
+const settings = {
+  level: process.env.EMPLI_LOG_LEVEL || 'info',
+  format: process.env.EMPLI_LOG_FORMAT || 'text',
+  modules: parseModules(process.env.EMPLI_LOG_MODULES),
+  privacy: process.env.EMPLI_LOG_PRIVACY === 'true',
+};
+
+let file = null;   // { path, maxSize, maxFiles, size, fd }
+
+// Apply config.logging (env vars still win). Safe to call again on reload.
+export function configureLogging(options = {}, dataDir) {
+  settings.level = process.env.EMPLI_LOG_LEVEL || options.level || 'info';
+  settings.format = process.env.EMPLI_LOG_FORMAT || options.format || 'text';
+  settings.modules = {
+    ...Object.fromEntries(Object.entries(options.modules || {}).map(([k, v]) => [k.toLowerCase(), v])),
+    ...parseModules(process.env.EMPLI_LOG_MODULES),
+  };
+  settings.privacy = process.env.EMPLI_LOG_PRIVACY ? process.env.EMPLI_LOG_PRIVACY === 'true' : !!options.privacy;
+
+  closeFile();
+  const fileOptions = options.file || {};
+  if (fileOptions.enabled && dataDir) {
+    const filePath = fileOptions.path || path.join(dataDir, 'logs', 'gateway.log');
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      file = {
+        path: filePath,
+        maxSize: fileOptions.maxSize || 10485760,
+        maxFiles: fileOptions.maxFiles ?? 5,
+        size: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0,
+        fd: fs.openSync(filePath, 'a', 0o600),
+      };
+    } catch (err) {
+      file = null;
+      process.stderr.write(`[Logger] Can't open log file ${filePath}: ${err.message}\n`);
+    }
+  }
+}
+
+export function closeLogging() {
+  closeFile();
+}
+
+export function createLogger(module) {
+  const write = (level) => (msg, fields) => log(module, level, msg, fields);
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    enabled: (level) => enabled(module, level),
+  };
+}
+
+// ─── Internals ───
+
+function enabled(module, level) {
+  // Channel instances ("telegram:support") fall back to their type's level
+  const name = module.toLowerCase();
+  const threshold = settings.modules[name] || settings.modules[name.split(':')[0]] || settings.level;
+  return LEVELS[level] >= (LEVELS[threshold] ?? LEVELS.info);
+}
+
+function log(module, level, msg, fields) {
+  if (!enabled(module, level)) return;
+
+  const entry = { time: new Date().toISOString(), level, module, msg: redact(String(msg)) };
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value === undefined) continue;
+    entry[key] = redactField(key, value);
+  }
+
+  const json = JSON.stringify(entry);
+  const line = settings.format === 'json' ? json : formatText(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  if (file) writeFile(json + '\n');
+}
+
+function redactField(key, value) {
+  if (SECRET_FIELDS.test(key)) return '[REDACTED]';
+  if (value instanceof Error) return redact(value.message);
+  if (settings.privacy && BODY_FIELDS.has(key)) {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value)?.length || 0;
+    return `[${length} chars]`;
+  }
+  if (typeof value === 'string') return redact(value);
+  if (value && typeof value === 'object') {
+    try {
+      return JSON.parse(redact(JSON.stringify(value)));
+    } catch {
+      return '[unserializable]';
+    }
+  }
+  return value;
+}
+
+function redact(text) {
+  let result = text;
+  for (const [pattern, replacement] of TOKEN_PATTERNS) result = result.replace(pattern, replacement);
+  return result;
+}
+
+function formatText({ time, level, module, msg, ...fields }) {
+  const extras = Object.entries(fields).map(([key, value]) => {
+    const str = typeof value === 'string' ? value
+      : Array.isArray(value) && value.every(v => typeof v !== 'object') ? value.join(',')
+      : JSON.stringify(value);
+    return `${key}=${/[\s="]/.test(str) || str === '' ? JSON.stringify(str) : str}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), `[${module}]`, msg, ...extras].join(' ');
+}
+
+function parseModules(spec) {
+  // "gateway=debug,whatsapp=warn"
+  const modules = {};
+  for (const part of (spec || '').split(',')) {
+    const [name, level] = part.split('=').map(s => s.trim());
+    if (name && LEVELS[level]) modules[name.toLowerCase()] = level;
+  }
+  return modules;
+}
+
+// ─── File output ───
+
+function writeFile(line) {
+  try {
+    const bytes = Buffer.byteLength(line);
+    if (file.size + bytes > file.maxSize && file.size > 0) rotate();
+    fs.writeSync(file.fd, line);
+    file.size += bytes;
+  } catch (err) {
+    process.stderr.write(`[Logger] Log file write failed: ${err.message}\n`);
+    closeFile();
+  }
+}
+
+// gateway.log → gateway.log.1 → … → gateway.log.<maxFiles>, oldest dropped
+function rotate() {
+  fs.closeSync(file.fd);
+  for (let i = file.maxFiles - 1; i >= 1; i--) {
+    const from = `${file.path}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${file.path}.${i + 1}`);
+  }
+  if (file.maxFiles > 0) fs.renameSync(file.path, `${file.path}.1`);
+  else fs.unlinkSync(file.path);
+  file.fd = fs.openSync(file.path, 'a', 0o600);
+  file.size = 0;
+}
+
+function closeFile() {
+  if (!file) return;
+  try { fs.closeSync(file.fd); } catch {}
+  file = null;
+}
@@ -0,0 +1,229 @@
+// ═══════════════════════════════════════════════════════════════
+// Media — stores attachments in the data dir, in and out
+// Inbound files are passed to the agent; agent files are delivered natively
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import os from 'os';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp',
+  'audio/ogg': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'audio/wav': 'wav',
+  'video/mp4': 'mp4', 'video/webm': 'webm', 'video/quicktime': 'mov',
+  'application/pdf': 'pdf', 'text/plain': 'txt', 'text/csv': 'csv', 'application/json': 'json',
+  'application/zip': 'zip',
+};
+
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+MIME_TYPES.jpeg = 'image/jpeg';
+MIME_TYPES.opus = 'audio/ogg';
+MIME_TYPES.md = 'text/markdown';
+MIME_TYPES.docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+MIME_TYPES.xlsx = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export class MediaStore {
+  constructor(dataDir, config = {}) {
+    this.dir = path.join(dataDir, 'media');
+    this.maxBytes = config.maxBytes || 25 * 1024 * 1024;
+    this.maxInlineBytes = config.maxInlineBytes ?? 5 * 1024 * 1024;
+    // Where agent replies may attach local files from, besides the media dir
+    this.outboundDirs = (config.outboundDirs || []).map(dir => path.resolve(expandHome(dir)));
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Save a buffer under media/<channel>/ and return attachment metadata
+  save(channel, buffer, { filename, mimeType, type } = {}) {
+    if (buffer.length > this.maxBytes) {
+      throw new Error(`Attachment too large (${buffer.length} bytes, max ${this.maxBytes})`);
+    }
+
+    mimeType = mimeType || guessMimeType(filename);
+    const ext = EXTENSIONS[mimeType] || path.extname(filename || '').slice(1) || 'bin';
+    const name = filename || `file.${ext}`;
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = this.channelDir(channel);
+    const filePath = path.join(dir, `${id}-${safeFilename(name)}`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+
+    return {
+      id,
+      type: type || attachmentType(mimeType),
+      mimeType,
+      filename: name,
+      size: buffer.length,
+      path: filePath,
+    };
+  }
+
+  // publicOnly: the URL came from the agent, so private and loopback addresses are refused
+  async download(channel, url, { filename, mimeType, type, headers, publicOnly = false } = {}) {
+    const options = { headers, signal: AbortSignal.timeout(60000) };
+    const res = publicOnly ? await fetchPublic(url, options) : await fetch(url, options);
+    if (!res.ok) throw new Error(`Download failed: HTTP ${res.status}`);
+
+    const declared = parseInt(res.headers.get('content-length') || '0');
+    if (declared > this.maxBytes) {
+      throw new Error(`Attachment too large (${declared} bytes, max ${this.maxBytes})`);
+    }
+
+    const buffer = await readLimited(res, this.maxBytes);
+    const contentType = res.headers.get('content-type')?.split(';')[0];
+    return this.save(channel, buffer, {
+      filename: filename || path.basename(new URL(url).pathname) || undefined,
+      mimeType: mimeType || (contentType !== 'application/octet-stream' ? contentType : undefined),
+      type,
+    });
+  }
+
+  // What the agent receives: metadata, plus base64 data for reasonably small files
+  toAgentPayload(attachment) {
+    const payload = {
+      type: attachment.type,
+      mimeType: attachment.mimeType,
+      filename: attachment.filename,
+      size: attachment.size,
+      path: attachment.path,
+    };
+    if (attachment.size <= this.maxInlineBytes && fs.existsSync(attachment.path)) {
+      payload.data = fs.readFileSync(attachment.path).toString('base64');
+    }
+    return payload;
+  }
+
+  // Turn an attachment from the agent ({ data } base64, { url } or { path })
+  // into a local file the channel can upload
+  async resolveOutgoing(channel, attachment) {
+    const { filename, mimeType, type } = attachment;
+
+    if (attachment.data) {
+      return this.save(channel, Buffer.from(attachment.data, 'base64'), { filename, mimeType, type });
+    }
+    if (attachment.url) {
+      return this.download(channel, attachment.url, { filename, mimeType, type, publicOnly: true });
+    }
+    if (attachment.path) {
+      // Only files under the media dir (or media.outboundDirs) — never config, vault or tokens
+      const filePath = fs.realpathSync(attachment.path);
+      const allowed = [this.dir, ...this.outboundDirs].some(dir => isInside(filePath, realpathOr(dir)));
+      if (!allowed) throw new Error(`Attachment path outside the media directory: ${attachment.path}`);
+      const stat = fs.statSync(filePath);
+      if (!stat.isFile()) throw new Error(`Attachment is not a file: ${attachment.path}`);
+      if (stat.size > this.maxBytes) throw new Error(`Attachment too large: ${attachment.path}`);
+      const resolvedMime = mimeType || guessMimeType(filePath);
+      return {
+        type: type || attachmentType(resolvedMime),
+        mimeType: resolvedMime,
+        filename: filename || path.basename(filePath),
+        size: stat.size,
+        path: filePath,
+      };
+    }
+    throw new Error('Attachment needs data, url or path');
+  }
+
+  channelDir(channel) {
+    return path.join(this.dir, safeFilename(channel));
+  }
+}
+
+export function attachmentType(mimeType = '') {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('text/') || mimeType.startsWith('application/')) return 'document';
+  return 'file';
+}
+
+export function guessMimeType(filename = '') {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// History keeps metadata only, never file contents
+export function describeAttachment({ type, mimeType, filename, size, path: filePath }) {
+  return { type, mimeType, filename, size, path: filePath };
+}
+
+function safeFilename(name) {
+  return name.replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+}
+
+function expandHome(file) {
+  return file.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : file;
+}
+
+function realpathOr(dir) {
+  try {
+    return fs.realpathSync(dir);
+  } catch {
+    return dir;
+  }
+}
+
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// ─── Downloads ───
+
+// Stops reading as soon as the body passes maxBytes, whatever content-length said
+async function readLimited(res, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) throw new Error(`Attachment too large (over ${maxBytes} bytes)`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Follows redirects by hand so every hop is checked
+async function fetchPublic(url, options, redirects = 5) {
+  const target = new URL(url);
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`Unsupported URL scheme: ${target.protocol}`);
+  }
+  await assertPublicHost(target.hostname);
+
+  const res = await fetch(target, { ...options, redirect: 'manual' });
+  const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+  if (!location) return res;
+  await res.body?.cancel();
+  if (!redirects) throw new Error('Too many redirects');
+  return fetchPublic(new URL(location, target), options, redirects - 1);
+}
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  for (const { address } of addresses) {
+    if (isPrivateAddress(address)) throw new Error(`Refusing to download from ${hostname} (${address} is not public)`);
+  }
+}
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) is checked as IPv4
+  const mapped = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (mapped) {
+    const [hi, lo] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    return PRIVATE_RANGES.check(mapped[1] || `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`, 'ipv4');
+  }
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
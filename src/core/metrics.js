@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════════
+// Metrics — Prometheus counters, gauges and histograms
+// Fed by gateway events, rendered in the text exposition format
+// that WebChat serves at /metrics.
+// ═══════════════════════════════════════════════════════════════
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const TOOL_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 15, 60];
+const CHANNEL_STATES = ['connected', 'connecting', 'disconnected', 'needs_auth', 'auth_failed', 'error', 'stopped'];
+
+export class Metrics {
+  constructor(gateway) {
+    this.gateway = gateway;
+    this.listeners = [];
+
+    this.messagesReceived = new Counter('empli_messages_received_total', 'Inbound messages', ['channel']);
+    this.messagesSent = new Counter('empli_messages_sent_total', 'Messages sent to chats (agent replies and proactive sends)', ['channel', 'type']);
+    this.agentRequests = new Counter('empli_agent_requests_total', 'HTTP requests to the agent, retries included', ['endpoint', 'outcome']);
+    this.agentLatency = new Histogram('empli_agent_request_duration_seconds', 'Agent request latency', ['endpoint'], LATENCY_BUCKETS);
+    this.agentFailures = new Counter('empli_agent_failures_total', 'Messages where every agent endpoint failed', ['channel']);
+    this.toolExecutions = new Counter('empli_tool_executions_total', 'Tool calls by permission decision and result', ['tool', 'permission', 'outcome']);
+    this.toolLatency = new Histogram('empli_tool_duration_seconds', 'Tool call duration, approval wait included', ['tool'], TOOL_BUCKETS);
+
+    this._on('message', ({ channel }) => this.messagesReceived.inc({ channel }));
+    this._on('reply', ({ channel, error }) => {
+      if (!error) this.messagesSent.inc({ channel, type: 'reply' });
+    });
+    this._on('outbound', ({ channel }) => this.messagesSent.inc({ channel, type: 'outbound' }));
+    this._on('agent_call', ({ endpoint, durationMs, error }) => {
+      this.agentRequests.inc({ endpoint, outcome: error ? 'error' : 'success' });
+      this.agentLatency.observe({ endpoint }, durationMs / 1000);
+    });
+    this._on('agent_error', ({ channel }) => this.agentFailures.inc({ channel }));
+    this._on('tool', ({ tool, permission, error, durationMs }) => {
+      this.toolExecutions.inc({ tool, permission: permission || 'allowed', outcome: error ? 'error' : 'success' });
+      this.toolLatency.observe({ tool }, durationMs / 1000);
+    });
+  }
+
+  _on(event, handler) {
+    this.gateway.on(event, handler);
+    this.listeners.push([event, handler]);
+  }
+
+  stop() {
+    for (const [event, handler] of this.listeners) this.gateway.off(event, handler);
+    this.listeners = [];
+  }
+
+  // Prometheus text format (version 0.0.4)
+  render() {
+    const gateway = this.gateway;
+    const out = [];
+
+    for (const metric of [this.messagesReceived, this.messagesSent, this.agentRequests, this.agentLatency,
+      this.agentFailures, this.toolExecutions, this.toolLatency]) {
+      out.push(...metric.lines());
+    }
+
+    // Channel connection state — alert on empli_channel_up == 0
+    const up = [], state = [], enabled = [];
+    for (const [name, channel] of gateway.channels) {
+      const status = channel.getStatus();
+      up.push([{ channel: name }, status === 'connected' ? 1 : 0]);
+      enabled.push([{ channel: name }, gateway.disabledChannels.has(name) ? 0 : 1]);
+      const states = CHANNEL_STATES.includes(status) ? CHANNEL_STATES : [...CHANNEL_STATES, status];
+      for (const s of states) state.push([{ channel: name, status: s }, s === status ? 1 : 0]);
+    }
+    out.push(...gauge('empli_channel_up', 'Whether the channel is connected', up));
+    out.push(...gauge('empli_channel_status', 'Current channel status (1 for the active one)', state));
+    out.push(...gauge('empli_channel_enabled', 'Whether the channel is enabled', enabled));
+
+    // Session locks, summed per channel so chat ids stay out of the labels
+    const queues = new Map();
+    for (const { channel, depth } of gateway.queueDepth.values()) {
+      const q = queues.get(channel) || { total: 0, max: 0, sessions: 0 };
+      q.total += depth;
+      q.max = Math.max(q.max, depth);
+      q.sessions++;
+      queues.set(channel, q);
+    }
+    const queueRows = (key) => [...gateway.channels.keys()].map(channel => [{ channel }, queues.get(channel)?.[key] || 0]);
+    out.push(...gauge('empli_session_queue_depth', 'Messages running or waiting on session locks', queueRows('total')));
+    out.push(...gauge('empli_session_queue_depth_max', 'Deepest single session queue', queueRows('max')));
+    out.push(...gauge('empli_sessions_busy', 'Sessions with a message in progress', queueRows('sessions')));
+
+    out.push(...gauge('empli_agent_circuit_open', 'Whether the endpoint is being skipped by its circuit breaker',
+      [...gateway.breakers].map(([endpoint, breaker]) => [{ endpoint }, breaker.state === 'open' ? 1 : 0])));
+    out.push(...gauge('empli_active_sessions', 'Sessions in memory', [[{}, gateway.sessions.size]]));
+    out.push(...gauge('empli_pending_approvals', 'Tool calls waiting for approval', [[{}, gateway.approvals?.listPending().length || 0]]));
+
+    const cpu = process.cpuUsage();
+    out.push(...gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [[{}, process.memoryUsage().rss]]));
+    out.push(...counter('process_cpu_seconds_total', 'User and system CPU time in seconds', [[{}, (cpu.user + cpu.system) / 1e6]]));
+    out.push(...gauge('process_start_time_seconds', 'Start time of the process since the epoch in seconds',
+      [[{}, Math.round(Date.now() / 1000 - process.uptime())]]));
+
+    return out.join('\n') + '\n';
+  }
+}
+
+// ─── Metric types ───
+
+class Counter {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();   // label key → { labels, value }
+  }
+
+  inc(labels, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || { labels: pick(this.labelNames, labels), value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  lines() {
+    return counter(this.name, this.help, [...this.values.values()].map(e => [e.labels, e.value]));
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map();   // label key → { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: pick(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines() {
+    const out = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => out.push(sample(`${this.name}_bucket`, { ...labels, le: String(bound) }, counts[i])));
+      out.push(sample(`${this.name}_bucket`, { ...labels, le: '+Inf' }, count));
+      out.push(sample(`${this.name}_sum`, labels, sum));
+      out.push(sample(`${this.name}_count`, labels, count));
+    }
+    return out;
+  }
+}
+
+function counter(name, help, rows) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, ...rows.map(([labels, value]) => sample(name, labels, value))];
+}
+
+function gauge(name, help, rows) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, ...rows.map(([labels, value]) => sample(name, labels, value))];
+}
+
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function pick(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
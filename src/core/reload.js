@@ -0,0 +1,160 @@
+// ═══════════════════════════════════════════════════════════════
+// Config Reload — apply config.json changes to a running gateway
+// Triggered by edits to the file (fs.watch) or SIGHUP. Sessions,
+// queued messages and untouched channels keep running.
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_PATH, loadConfig } from './config.js';
+import { configureLogging, createLogger } from './logger.js';
+import { channelConfig, createChannel, enabledChannels } from '../channels/index.js';
+
+const log = createLogger('Reload');
+
+// Built once at startup — changes here are reported but need a restart
+const RESTART_KEYS = ['dataDir', 'sessions', 'media', 'events', 'scheduler', 'cron'];
+// Tool settings read per message (the rest configures the executors)
+const LIVE_TOOL_KEYS = ['maxIterations', 'sendDefinitions', 'approvers', 'approvalTimeout'];
+
+export class ConfigReloader {
+  constructor(gateway, { debounce = 500 } = {}) {
+    this.gateway = gateway;
+    this.debounce = debounce;
+    this.watcher = null;
+    this.timer = null;
+    this.running = Promise.resolve();
+    this.lastRaw = readRaw();
+    this.onSignal = () => this.reload('SIGHUP');
+  }
+
+  start({ watch = true } = {}) {
+    process.on('SIGHUP', this.onSignal);
+    if (!watch) return;
+
+    // Watch the directory: editors and saveConfig() often replace the file instead of writing to it
+    try {
+      fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+      this.watcher = fs.watch(path.dirname(CONFIG_PATH), (event, filename) => {
+        if (filename && filename !== path.basename(CONFIG_PATH)) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.reload('file'), this.debounce);
+      });
+      this.watcher.on('error', (err) => log.warn('Config watch stopped', { error: err.message }));
+      log.info('Watching config', { path: CONFIG_PATH });
+    } catch (err) {
+      log.warn('Can\'t watch config, SIGHUP still reloads', { path: CONFIG_PATH, error: err.message });
+    }
+  }
+
+  stop() {
+    process.off('SIGHUP', this.onSignal);
+    clearTimeout(this.timer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  // Reloads run one at a time; a file that hasn't changed is skipped (except on SIGHUP)
+  reload(trigger = 'manual') {
+    this.running = this.running.then(async () => {
+      const raw = readRaw();
+      if (trigger === 'file' && raw === this.lastRaw) return null;
+      this.lastRaw = raw;
+
+      const config = loadConfig({ strict: true });
+      if (!config) {
+        log.error('Config not reloaded, keeping the running config', { trigger });
+        return null;
+      }
+      return applyConfig(this.gateway, config, trigger);
+    }).catch(err => {
+      log.error('Config reload failed', { trigger, error: err.message });
+      return null;
+    });
+    return this.running;
+  }
+}
+
+// Returns { started, stopped, restarted, updated, failed, restartRequired }
+export async function applyConfig(gateway, config, trigger = 'manual') {
+  const previous = gateway.config;
+  const changes = { started: [], stopped: [], restarted: [], updated: [], failed: [], restartRequired: [] };
+
+  // Endpoints, maxHistory, agent and stream settings are read from gateway.config per message
+  gateway.config = config;
+  if (!sameJson(previous.logging, config.logging)) configureLogging(config.logging, config.dataDir);
+  if (gateway.approvals) {
+    gateway.approvals.approvers = (config.tools?.approvers || []).map(String);
+    gateway.approvals.timeout = config.tools?.approvalTimeout || 5 * 60 * 1000;
+  }
+
+  for (const key of RESTART_KEYS) {
+    if (!sameJson(previous[key], config[key])) changes.restartRequired.push(key);
+  }
+  if (!sameJson(without(previous.tools, LIVE_TOOL_KEYS), without(config.tools, LIVE_TOOL_KEYS))) {
+    changes.restartRequired.push('tools');
+  }
+
+  const wanted = enabledChannels(config.channels);
+  for (const name of [...gateway.channels.keys()]) {
+    if (wanted.includes(name)) continue;
+    await gateway.removeChannel(name);
+    changes.stopped.push(name);
+  }
+
+  for (const name of wanted) {
+    const wantedConfig = channelConfig(config.channels, name);
+    const channel = gateway.channels.get(name);
+
+    if (!channel) {
+      gateway.registerChannel(name, createChannel(name, wantedConfig));
+      const error = await gateway.startChannel(name);
+      gateway.emit('channel', { name, enabled: true, status: gateway.channels.get(name).getStatus(), error: error || undefined });
+      (error ? changes.failed : changes.started).push(name);
+      continue;
+    }
+
+    if (sameJson(channel.config, wantedConfig)) continue;
+    if (channel.reconfigure(wantedConfig)) {
+      changes.updated.push(name);
+      continue;
+    }
+
+    // Tokens, ports or similar changed — swap in a fresh instance.
+    // A channel disabled from the dashboard stays disabled.
+    const disabled = gateway.disabledChannels.has(name);
+    await gateway.removeChannel(name);
+    gateway.registerChannel(name, createChannel(name, wantedConfig));
+    if (disabled) {
+      gateway.disabledChannels.add(name);
+      changes.updated.push(name);
+      continue;
+    }
+    const error = await gateway.startChannel(name);
+    gateway.emit('channel', { name, enabled: true, status: gateway.channels.get(name).getStatus(), error: error || undefined });
+    (error ? changes.failed : changes.restarted).push(name);
+  }
+
+  const summary = Object.fromEntries(Object.entries(changes).filter(([, list]) => list.length));
+  log.info('Config reloaded', { trigger, ...summary });
+  if (changes.restartRequired.length) {
+    log.warn('Some changes only apply after a restart', { keys: changes.restartRequired });
+  }
+  return changes;
+}
+
+function readRaw() {
+  try {
+    return fs.readFileSync(CONFIG_PATH, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function without(obj, keys) {
+  return Object.fromEntries(Object.entries(obj || {}).filter(([key]) => !keys.includes(key)));
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
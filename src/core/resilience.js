@@ -0,0 +1,96 @@
+// ═══════════════════════════════════════════════════════════════
+// Resilience — retries with backoff and per-endpoint circuit breakers
+// Keeps a flaky or down agent from turning into silent chats
+// ═══════════════════════════════════════════════════════════════
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Breaker');
+
+// Errors worth another try: timeouts, network failures, 5xx, 429, 408
+export class AgentError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'AgentError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return status >= 500 || status === 429 || status === 408;
+}
+
+// Run fn, retrying retryable errors with exponential backoff + jitter
+export async function withRetry(fn, { retries = 2, baseDelay = 1000, maxDelay = 10000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || err.retryable === false) throw err;
+      const delay = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+      onRetry?.(err, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// closed → (failureThreshold failures in a row) → open → (resetTimeout) → half_open
+// half_open lets one request through: success closes, failure re-opens
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeout = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) return false;
+      this.state = 'half_open';
+    }
+    // half_open: only one trial request at a time
+    if (this.probing) return false;
+    this.probing = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      log.info('Endpoint recovered', { endpoint: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  recordFailure(err) {
+    this.failures++;
+    this.lastError = err?.message || String(err);
+    this.probing = false;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        log.warn('Circuit open, pausing endpoint', { endpoint: this.name, failures: this.failures, pauseMs: this.resetTimeout });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+    };
+  }
+}
@@ -0,0 +1,392 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduler — runs schedule_task jobs and config.cron entries
+// Each run sends the task's prompt through the agent as a message
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Scheduler');
+
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+export class Scheduler {
+  constructor(gateway, config = {}) {
+    this.gateway = gateway;
+    this.config = config;
+    this.tasksDir = path.join(gateway.dataDir, 'tasks');
+    this.historyDir = path.join(this.tasksDir, 'history');
+    this.timezone = config.timezone || undefined;
+    this.catchUp = config.catchUp !== false;
+    this.maxCatchUpAge = config.maxCatchUpAge || 24 * 60 * 60 * 1000;
+    this.historyLimit = config.historyLimit || 100;
+    this.jobs = new Map();   // taskName → { task, source, handle, running }
+    this.started = false;    // Past one-shots are caught up on start, refused afterwards
+
+    fs.mkdirSync(this.historyDir, { recursive: true });
+  }
+
+  // ─── Lifecycle ───
+
+  async start(cronEntries = []) {
+    for (const task of this._loadTaskFiles()) {
+      this._tryAdd(task, 'tool');
+    }
+    for (const task of cronEntries) {
+      if (this.jobs.has(task.name)) {
+        log.warn('config.cron overrides a saved task with the same name', { task: task.name });
+      }
+      this._tryAdd(task, 'config');
+    }
+
+    log.info('Tasks scheduled', { count: this.jobs.size });
+    this.started = true;
+
+    for (const job of [...this.jobs.values()]) {
+      if (this.catchUp) await this._catchUp(job);
+      else if (job.oneShot && Date.parse(job.task.schedule) <= Date.now()) this._drop(job);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      this._unschedule(job);
+    }
+    this.jobs.clear();
+    this.started = false;
+  }
+
+  // ─── Tasks ───
+
+  // task: { name, schedule, prompt, channel?, chatId?, timezone? }
+  // schedule is a cron expression or an ISO date for a one-shot task
+  add(task, source = 'tool') {
+    if (!task?.name || !task.schedule || !task.prompt) {
+      throw new Error('Task needs name, schedule and prompt');
+    }
+    if (task.enabled === false) return null;
+
+    const timezone = task.timezone || this.timezone;
+    const oneShot = !cron.validate(task.schedule);
+    if (oneShot && isNaN(Date.parse(task.schedule))) {
+      throw new Error(`Invalid schedule "${task.schedule}" (expected cron expression or ISO date)`);
+    }
+    if (oneShot && this.started && Date.parse(task.schedule) <= Date.now()) {
+      throw new Error(`Schedule "${task.schedule}" is in the past`);
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone "${timezone}"`);
+    }
+
+    this.remove(task.name);
+
+    const job = { task: { ...task, timezone }, source, oneShot, handle: null, running: false };
+    this.jobs.set(task.name, job);
+
+    if (oneShot) {
+      this._scheduleOnce(job);
+    } else {
+      job.handle = cron.schedule(task.schedule, () => this._runInBackground(job, new Date()), {
+        timezone,
+      });
+    }
+    return job;
+  }
+
+  remove(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+    this._unschedule(job);
+    this.jobs.delete(name);
+    return true;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => ({
+      ...job.task,
+      source: job.source,
+      oneShot: job.oneShot,
+      running: job.running,
+      lastRun: this.getHistory(job.task.name, 1)[0] || null,
+    }));
+  }
+
+  // Run a task right now, outside its schedule
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Task "${name}" not found`);
+    return this._run(job, 'manual', new Date());
+  }
+
+  // ─── Execution ───
+
+  async _run(job, trigger, scheduledFor) {
+    const { task } = job;
+    if (job.running) {
+      log.warn('Task still running, skipping this run', { task: task.name });
+      return null;
+    }
+    job.running = true;
+
+    const entry = {
+      trigger,
+      scheduledFor: scheduledFor.toISOString(),
+      startedAt: new Date().toISOString(),
+    };
+    log.info('Running task', { task: task.name, trigger });
+
+    try {
+      // No senderId: nobody is behind a scheduled run, so it can't approve anything itself
+      const result = await this.gateway.handleMessage({
+        channel: task.channel || 'scheduler',
+        chatId: task.chatId || task.name,
+        chatName: task.name,
+        sender: 'scheduler',
+        senderId: null,
+        text: task.prompt,
+        timestamp: Date.now(),
+        metadata: { scheduled: true, task: task.name, trigger },
+      });
+
+      if (result?.error) {
+        // The agent was unreachable — don't deliver the apology as a report
+        entry.status = 'error';
+        entry.error = 'agent unavailable';
+      } else {
+        entry.reply = result?.reply || null;
+        entry.status = result?.reply ? 'ok' : 'no_reply';
+      }
+
+      if (entry.status === 'ok' && task.channel) {
+        entry.delivered = await this._deliver(task, result.reply);
+      }
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err.message;
+      log.error('Task failed', { task: task.name, error: err.message });
+    } finally {
+      job.running = false;
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    this._appendHistory(task.name, entry);
+
+    // One-shot tasks are done after running
+    if (job.oneShot) this._drop(job);
+
+    return entry;
+  }
+
+  async _deliver(task, reply) {
+    if (!task.chatId) {
+      log.warn('No chatId for task, reply kept in history', { task: task.name, channel: task.channel });
+      return false;
+    }
+    try {
+      // The reply is already in the session history from handleMessage
+      await this.gateway.sendTo(task.channel, task.chatId, reply, { record: false });
+      return true;
+    } catch (err) {
+      log.error('Task delivery failed', { task: task.name, channel: task.channel, error: err.message });
+      return false;
+    }
+  }
+
+  _scheduleOnce(job) {
+    const at = Date.parse(job.task.schedule);
+    const delay = at - Date.now();
+    if (delay <= 0) return; // Past one-shots are handled by catch-up
+
+    // Long delays are chained, setTimeout can't wait more than ~24 days
+    job.handle = setTimeout(() => {
+      if (at - Date.now() > 0) return this._scheduleOnce(job);
+      this._runInBackground(job, new Date(at));
+    }, Math.min(delay, MAX_TIMEOUT));
+  }
+
+  // Timer callbacks have nobody to hand a rejection to (e.g. history can't be written)
+  _runInBackground(job, scheduledFor) {
+    this._run(job, 'schedule', scheduledFor).catch(err => {
+      log.error('Task run failed', { task: job.task.name, error: err.message });
+    });
+  }
+
+  // Forget a finished or expired one-shot task
+  _drop(job) {
+    this._unschedule(job);
+    if (this.jobs.get(job.task.name) === job) this.jobs.delete(job.task.name);
+    if (job.source === 'tool') this._deleteTaskFile(job.task.name);
+  }
+
+  _unschedule(job) {
+    if (!job.handle) return;
+    if (job.oneShot) clearTimeout(job.handle);
+    else job.handle.stop();
+    job.handle = null;
+  }
+
+  // ─── Missed-run catch-up ───
+
+  // If the gateway was down when a run was due, run it once on startup
+  async _catchUp(job) {
+    const { task } = job;
+    const now = Date.now();
+    const last = this.getHistory(task.name, 1)[0];
+
+    if (job.oneShot) {
+      const at = Date.parse(task.schedule);
+      if (at > now || last) return;
+      if (now - at > this.maxCatchUpAge) {
+        log.warn('One-shot task missed by more than the catch-up window, dropping', { task: task.name });
+        this._drop(job);
+        return;
+      }
+      await this._run(job, 'catch_up', new Date(at));
+      return;
+    }
+
+    // Only tasks we know the history of can have missed a run
+    const since = last ? Date.parse(last.scheduledFor) : Date.parse(task.createdAt || '');
+    if (isNaN(since)) return;
+
+    const missed = lastMatchBetween(task.schedule, task.timezone, Math.max(since, now - this.maxCatchUpAge), now);
+    if (missed) {
+      await this._run(job, 'catch_up', missed);
+    }
+  }
+
+  // ─── Persistence ───
+
+  _loadTaskFiles() {
+    if (!fs.existsSync(this.tasksDir)) return [];
+    const tasks = [];
+    for (const file of fs.readdirSync(this.tasksDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        tasks.push(JSON.parse(fs.readFileSync(path.join(this.tasksDir, file), 'utf-8')));
+      } catch (err) {
+        log.warn('Skipping unreadable task', { file, error: err.message });
+      }
+    }
+    return tasks;
+  }
+
+  _tryAdd(task, source) {
+    try {
+      this.add(task, source);
+    } catch (err) {
+      log.error('Invalid task', { task: task?.name, error: err.message });
+    }
+  }
+
+  _deleteTaskFile(name) {
+    const filePath = path.join(this.tasksDir, `${safeName(name)}.json`);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  getHistory(name, limit = 20) {
+    const filePath = this._historyPath(name);
+    if (!fs.existsSync(filePath)) return [];
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+    return lines.slice(-limit).reverse().map(l => JSON.parse(l));
+  }
+
+  _appendHistory(name, entry) {
+    const filePath = this._historyPath(name);
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf-8');
+
+    // Trim occasionally instead of on every write
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+    if (lines.length > this.historyLimit * 1.5) {
+      fs.writeFileSync(filePath, lines.slice(-this.historyLimit).join('\n') + '\n', 'utf-8');
+    }
+  }
+
+  _historyPath(name) {
+    return path.join(this.historyDir, `${safeName(name)}.jsonl`);
+  }
+}
+
+// Most recent time in (from, to] matching the cron expression. Walks back a minute at a
+// time, then picks the latest allowed second of a matching minute that's inside the window.
+export function lastMatchBetween(expression, timezone, from, to) {
+  const { seconds, matchesMinute } = cronMatcher(expression, timezone);
+  const minute = 60 * 1000;
+  for (let t = Math.floor(to / minute) * minute; t + minute > from; t -= minute) {
+    if (!matchesMinute(new Date(t))) continue;
+    const second = seconds.find(s => t + s * 1000 > from && t + s * 1000 <= to);
+    if (second !== undefined) return new Date(t + second * 1000);
+  }
+  return null;
+}
+
+// ─── Cron matching ───
+
+// node-cron's syntax (already validated by cron.validate): 5 or 6 fields with optional
+// seconds first, lists, ranges, steps and month/weekday names. All fields have to match.
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CRON_FIELDS = [
+  { min: 0, max: 59 },                   // second
+  { min: 0, max: 59 },                   // minute
+  { min: 0, max: 23 },                   // hour
+  { min: 1, max: 31 },                   // day of month
+  { min: 1, max: 12, names: MONTHS },    // month
+  { min: 0, max: 7, names: WEEKDAYS },   // day of week (0 and 7 are Sunday)
+];
+
+// { seconds: allowed seconds, latest first, matchesMinute(date): every other field matches }
+function cronMatcher(expression, timezone) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  const fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (fields[5].has(7)) fields[5].add(0);
+
+  const format = timezone && new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  const matchesMinute = (date) => {
+    let values;
+    if (format) {
+      const p = Object.fromEntries(format.formatToParts(date).map(({ type, value }) => [type, value]));
+      values = [+p.minute, +p.hour, +p.day, +p.month, WEEKDAYS.indexOf(p.weekday.toLowerCase())];
+    } else {
+      values = [date.getMinutes(), date.getHours(), date.getDate(), date.getMonth() + 1, date.getDay()];
+    }
+    return values.every((value, i) => fields[i + 1].has(value));
+  };
+  return { seconds: [...fields[0]].sort((a, b) => b - a), matchesMinute };
+}
+
+// "1-5", "*/15", "mon,wed", "jan-mar/2" → Set of allowed values
+function parseCronField(field, { min, max, names }) {
+  const value = (token) => {
+    if (/^\d+$/.test(token)) return Number(token);
+    const index = names?.findIndex(name => token.toLowerCase().startsWith(name));
+    return index >= 0 ? index + min : NaN;
+  };
+  const allowed = new Set();
+  for (const item of field.split(',')) {
+    const [range, step = '1'] = item.split('/');
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(value);
+    if (to === undefined) to = item.includes('/') ? max : from;
+    for (let v = from; v <= to; v += Number(step)) allowed.add(v);
+  }
+  return allowed;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
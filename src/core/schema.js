@@ -0,0 +1,485 @@
+// ═══════════════════════════════════════════════════════════════
+// Config Schema — what config.json may contain, checked on load
+// Problems come back with their path ("channels.slack.appToken"),
+// unknown keys get a "did you mean" hint. Also drives `empli config
+// get/set`, which need to know each setting's type.
+// ═══════════════════════════════════════════════════════════════
+
+import { SECRET_REF, isSecretSetting } from './secrets.js';
+
+// ─── Types ───
+
+const string = (opts = {}) => ({ type: 'string', ...opts });
+const number = (opts = {}) => ({ type: 'number', ...opts });
+const boolean = () => ({ type: 'boolean' });
+const array = (items, opts = {}) => ({ type: 'array', items, ...opts });
+// additional: schema for keys not listed (maps like logging.modules); open: anything goes
+const object = (properties = {}, opts = {}) => ({ type: 'object', properties, ...opts });
+const oneOf = (values) => string({ values });
+const url = () => string({ url: true });
+const ms = () => number({ min: 0, integer: true });
+const id = () => ({ type: 'id' });   // user/chat ids: string or number
+
+// Channel checks: [relative path, message] pairs
+const requiredWhenEnabled = (...keys) => (channel) =>
+  channel.enabled ? keys.filter(key => !channel[key]).map(key => [key, 'required when the channel is enabled']) : [];
+
+// A channel type's section plus `instances: { <name>: { ...same settings } }` for running
+// several of it ("telegram:support"). Instances are on unless they say enabled: false.
+const channelType = (properties, check) => object({
+  ...properties,
+  instances: object({}, {
+    additional: object(properties, { check: check && ((instance) => check({ ...instance, enabled: instance.enabled !== false })) }),
+    check: (instances) => Object.keys(instances)
+      .filter(name => !/^[\w-]+$/.test(name))
+      .map(name => [name, 'instance names may only use letters, digits, "_" and "-"']),
+  }),
+}, { check });
+
+// WebChat, the webhook channel and webhook instances each need their own port
+const portClashes = (channels) => {
+  const used = new Map();
+  const issues = [];
+  const claim = (at, config, fallback, enabled) => {
+    if (!enabled || typeof config !== 'object') return;
+    const port = config.port || fallback;
+    if (used.has(port)) issues.push([`${at}.port`, `port ${port} is already used by channels.${used.get(port)}`]);
+    else used.set(port, at);
+  };
+  claim('webchat', channels.webchat || {}, 3456, channels.webchat?.enabled !== false);
+  claim('webhook', channels.webhook || {}, 3457, channels.webhook?.enabled);
+  for (const [name, instance] of Object.entries(channels.webhook?.instances || {})) {
+    claim(`webhook.instances.${name}`, instance || {}, 3457, instance?.enabled !== false);
+  }
+  return issues;
+};
+
+const CHANNEL_BASE = {
+  enabled: boolean(),
+  endpoint: url(),
+  fallbackEndpoints: array(url()),
+  stream: boolean(),
+  errorReply: string(),
+};
+
+const SENDER_LISTS = {
+  allowList: array(id()),
+  blockList: array(id()),
+};
+
+const API_KEY = object({
+  name: string(),
+  key: string({ required: true, minLength: 16 }),
+  scopes: array(oneOf(['chat', 'status', 'sessions', 'metrics', 'admin'])),
+  rateLimit: number({ min: 0 }),
+});
+
+const SITE_KEY = object({
+  name: string(),
+  key: string({ required: true, minLength: 16 }),
+  origins: array(string(), { required: true }),
+  rateLimit: number({ min: 0 }),
+});
+
+const WEBHOOK_ROUTE = object({
+  name: string({ pattern: /^[\w-]+$/ }),
+  path: string({ required: true, pattern: /^\// }),
+  secret: string(),
+  allowUnsigned: boolean(),
+  signature: object({
+    type: oneOf(['hmac', 'stripe']),
+    header: string(),
+    algorithm: oneOf(['sha1', 'sha256', 'sha512']),
+    encoding: oneOf(['hex', 'base64']),
+    prefix: string(),
+    tolerance: number({ min: 0 }),
+  }),
+  chatId: string(),
+  chatName: string(),
+  sender: string(),
+  senderId: string(),
+  text: string(),
+  filter: string(),
+  mode: oneOf(['async', 'sync']),
+  callbackUrl: string(),
+  callbackHeaders: object({}, { additional: string() }),
+});
+
+const EVENT_WEBHOOK = object({
+  url: url({ required: true }),
+  secret: string(),
+  events: array(oneOf(['*', 'message_received', 'reply_sent', 'agent_error', 'channel_status_changed', 'tool_executed'])),
+  headers: object({}, { additional: string() }),
+});
+
+const CRON_TASK = object({
+  name: string({ required: true }),
+  schedule: string({ required: true }),
+  prompt: string({ required: true }),
+  channel: string(),
+  chatId: id(),
+  timezone: string(),
+  enabled: boolean(),
+});
+
+const LOG_LEVEL = oneOf(['debug', 'info', 'warn', 'error', 'silent']);
+
+export const CONFIG_SCHEMA = object({
+  endpoint: url(),
+  fallbackEndpoints: array(url()),
+  maxHistory: number({ min: 1, integer: true }),
+  stream: boolean(),
+  dataDir: string(),
+  watchConfig: boolean(),
+
+  agent: object({
+    timeout: ms(),
+    streamTimeout: ms(),
+    retries: number({ min: 0, integer: true }),
+    retryDelay: ms(),
+    maxRetryDelay: ms(),
+    breaker: object({
+      failureThreshold: number({ min: 1, integer: true }),
+      resetTimeout: ms(),
+    }),
+    errorReply: string(),
+    historyLimit: number({ min: 1, integer: true }),
+  }),
+
+  sessions: object({
+    store: oneOf(['jsonl', 'sqlite']),
+    path: string(),
+    summarize: boolean(),
+    summaryEndpoint: url(),
+    importJsonl: boolean(),
+  }),
+
+  events: object({
+    webhooks: array(EVENT_WEBHOOK),
+    retries: number({ min: 0, integer: true }),
+    retryDelay: ms(),
+    maxRetryDelay: ms(),
+    timeout: ms(),
+    deadLetterPath: string(),
+    includeToolInput: boolean(),
+  }),
+
+  logging: object({
+    level: LOG_LEVEL,
+    format: oneOf(['text', 'json']),
+    modules: object({}, { additional: LOG_LEVEL }),
+    privacy: boolean(),
+    file: object({
+      enabled: boolean(),
+      path: string(),
+      maxSize: number({ min: 1024, integer: true }),
+      maxFiles: number({ min: 0, integer: true }),
+    }),
+  }),
+
+  media: object({
+    maxBytes: number({ min: 0, integer: true }),
+    maxInlineBytes: number({ min: 0, integer: true }),
+    outboundDirs: array(string()),
+  }),
+
+  channels: object({
+    webchat: object({
+      ...CHANNEL_BASE,
+      port: number({ min: 1, max: 65535, integer: true }),
+      host: string(),
+      apiKeys: array(API_KEY),
+      siteKeys: array(SITE_KEY),
+      rateLimit: number({ min: 0 }),
+      cors: object({ origins: array(string()) }),
+      metrics: boolean(),
+      trustProxy: { type: 'any' },
+      bodyLimit: string(),
+    }),
+    whatsapp: channelType({
+      ...CHANNEL_BASE,
+      ...SENDER_LISTS,
+      allowGroups: boolean(),
+      sessionDir: string(),
+    }),
+    telegram: channelType({
+      ...CHANNEL_BASE,
+      ...SENDER_LISTS,
+      token: string({ pattern: /^\d+:[\w-]+$/, patternHint: '<bot id>:<secret> from @BotFather' }),
+      allowGroups: boolean(),
+    }, requiredWhenEnabled('token')),
+    discord: channelType({
+      ...CHANNEL_BASE,
+      ...SENDER_LISTS,
+      token: string(),
+      allowGroups: boolean(),
+      channelList: array(id()),
+    }, requiredWhenEnabled('token')),
+    slack: channelType({
+      ...CHANNEL_BASE,
+      allowList: array(id()),
+      botToken: string({ pattern: /^xoxb-/, patternHint: 'a bot token starting with xoxb-' }),
+      appToken: string({ pattern: /^xapp-/, patternHint: 'an app-level token starting with xapp-' }),
+    }, requiredWhenEnabled('botToken', 'appToken')),
+    gmail: channelType({
+      ...CHANNEL_BASE,
+      ...SENDER_LISTS,
+      credentialsPath: string(),
+      tokenPath: string(),
+      pollInterval: number({ min: 1000, integer: true }),
+    }, requiredWhenEnabled('credentialsPath')),
+    webhook: channelType({
+      ...CHANNEL_BASE,
+      port: number({ min: 1, max: 65535, integer: true }),
+      host: string(),
+      routes: array(WEBHOOK_ROUTE),
+      trustProxy: { type: 'any' },
+      bodyLimit: string(),
+      callbackTimeout: ms(),
+    }, (channel) => {
+      const routes = channel.routes || [];
+      const names = routes.map(r => r?.name || r?.path);
+      return [
+        ...names.flatMap((name, i) => names.indexOf(name) !== i ? [[`routes[${i}]`, `duplicate route "${name}"`]] : []),
+        ...(channel.enabled ? routes.flatMap((r, i) => {
+          if (!r || r.secret) return [];
+          if (!r.allowUnsigned) return [[`routes[${i}].secret`, 'is required (or set allowUnsigned: true)']];
+          return r.callbackUrl?.includes('{{') ? [[`routes[${i}].callbackUrl`, "can't be a template on an unsigned route"]] : [];
+        }) : []),
+      ];
+    }),
+  }, { check: portClashes }),
+
+  tools: object({
+    enabled: boolean(),
+    maxIterations: number({ min: 1, integer: true }),
+    sendDefinitions: boolean(),
+    approvers: array(id()),
+    approvalTimeout: ms(),
+    local: object({}, { open: true }),
+    google: object({ credentialsPath: string(), tokenPath: string() }),
+    github: object({ token: string() }),
+    twilio: object({ accountSid: string(), authToken: string(), fromNumber: string() }),
+    notion: object({ token: string() }),
+    docker: object({}, { open: true }),
+    database: object({ defaultDatabase: string() }, { open: true }),
+  }),
+
+  scheduler: object({
+    enabled: boolean(),
+    timezone: string(),
+    catchUp: boolean(),
+    maxCatchUpAge: ms(),
+    historyLimit: number({ min: 1, integer: true }),
+  }),
+
+  cron: array(CRON_TASK),
+});
+
+// ─── Validation ───
+
+// Returns [{ path, message, severity: 'error' | 'warning' }] — unknown keys are warnings
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const issues = [];
+  check(schema, config, '', issues);
+  return issues;
+}
+
+function check(schema, value, path, issues) {
+  const error = (message, at = path) => issues.push({ path: at || '(root)', message, severity: 'error' });
+
+  if (value === undefined || value === null) {
+    if (schema.required) error('is required');
+    return;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      return;
+    case 'id':
+      if (typeof value !== 'string' && typeof value !== 'number') error(`must be a string or number, got ${typeName(value)}`);
+      return;
+    case 'string':
+      if (typeof value !== 'string') return error(`must be a string, got ${typeName(value)}`);
+      if (schema.required && !value) return error('is required');
+      if (!value) return;
+      if (isSecretSetting(path.split(/[.[]/).pop()) && SECRET_REF.test(value)) return;   // references are checked once resolved
+      if (schema.values && !schema.values.includes(value)) {
+        return error(`must be one of ${schema.values.map(v => `"${v}"`).join(', ')}, got "${value}"`);
+      }
+      if (schema.minLength && value.length < schema.minLength) error(`must be at least ${schema.minLength} characters`);
+      if (schema.url && !/^https?:\/\/[^\s/]+/.test(value)) error(`must be an http(s) URL, got "${value}"`);
+      if (schema.pattern && !schema.pattern.test(value)) error(`doesn't look right (expected ${schema.patternHint || schema.pattern})`);
+      return;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return error(`must be a number, got ${typeName(value)}`);
+      if (schema.integer && !Number.isInteger(value)) error('must be a whole number');
+      if (schema.min !== undefined && value < schema.min) error(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) error(`must be at most ${schema.max}`);
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') error(`must be true or false, got ${typeName(value)}`);
+      return;
+    case 'array':
+      if (!Array.isArray(value)) return error(`must be an array, got ${typeName(value)}`);
+      if (schema.required && !value.length) error('must not be empty');
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, issues));
+      return;
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return error(`must be an object, got ${typeName(value)}`);
+      if (schema.open) return;
+      for (const [key, item] of Object.entries(value)) {
+        const at = path ? `${path}.${key}` : key;
+        const child = schema.properties[key] || schema.additional;
+        if (child) {
+          check(child, item, at, issues);
+        } else {
+          const hint = suggest(key, Object.keys(schema.properties));
+          issues.push({ path: at, message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ''}`, severity: 'warning' });
+        }
+      }
+      for (const [key, child] of Object.entries(schema.properties)) {
+        if (child.required && value[key] == null) error('is required', path ? `${path}.${key}` : key);
+      }
+      for (const [rel, message] of schema.check?.(value) || []) error(message, `${path}.${rel}`);
+      return;
+    }
+  }
+}
+
+function typeName(value) {
+  return Array.isArray(value) ? 'an array' : value === null ? 'null' : typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Closest known key: same letters in another case, or within two edits
+function suggest(key, known) {
+  const lower = key.toLowerCase();
+  const exact = known.find(k => k.toLowerCase() === lower);
+  if (exact) return exact;
+  let best = null, bestDistance = 3;
+  for (const candidate of known) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) [best, bestDistance] = [candidate, distance];
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// ─── Paths ───
+
+// "events.webhooks[0].url" or "events.webhooks.0.url" → ['events', 'webhooks', '0', 'url']
+export function parsePath(path) {
+  return String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+}
+
+export function getPath(obj, parts) {
+  let value = obj;
+  for (const key of parts) {
+    if (value == null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+export function setPath(obj, parts, value) {
+  let target = obj;
+  parts.slice(0, -1).forEach((key, i) => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+    target = target[key];
+  });
+  target[parts[parts.length - 1]] = value;
+  return obj;
+}
+
+// Schema for a path, or null if the schema doesn't know it
+export function schemaAt(parts, schema = CONFIG_SCHEMA) {
+  let node = schema;
+  for (const key of parts) {
+    if (node?.type === 'object') {
+      if (node.open) return { type: 'any' };
+      node = node.properties[key] || node.additional;
+    } else if (node?.type === 'array' && /^\d+$/.test(key)) {
+      node = node.items;
+    } else {
+      return null;
+    }
+  }
+  return node || null;
+}
+
+// Match a path case-insensitively (EMPLI__CHANNELS__DISCORD__ALLOWGROUPS) and return it
+// spelled the way the schema does; keys of maps and free-form sections come back lowercased.
+// null when the schema doesn't know the path.
+export function canonicalPath(parts, schema = CONFIG_SCHEMA) {
+  const result = [];
+  let node = schema;
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    if (node.type === 'object' && !node.open) {
+      const key = Object.keys(node.properties).find(k => k.toLowerCase() === lower);
+      if (key) {
+        result.push(key);
+        node = node.properties[key];
+      } else if (node.additional) {
+        result.push(lower);
+        node = node.additional;
+      } else {
+        return null;
+      }
+    } else if (node.type === 'array' && /^\d+$/.test(part)) {
+      result.push(part);
+      node = node.items;
+    } else if (node.type === 'any' || node.open) {
+      result.push(lower);
+      node = { type: 'any' };
+    } else {
+      return null;
+    }
+  }
+  return result;
+}
+
+// Turn a command-line / env string into the type the schema expects
+export function coerceValue(raw, schema) {
+  switch (schema?.type) {
+    case 'string':
+      return raw;
+    case 'id':
+      return raw;   // channels compare ids as strings (allowList.includes(String(senderId)))
+    case 'number': {
+      const n = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(n)) throw new Error(`expected a number, got "${raw}"`);
+      return n;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new Error(`expected true or false, got "${raw}"`);
+    case 'array':
+      // JSON, or a comma-separated list of plain values
+      if (raw.trim().startsWith('[')) {
+        const items = JSON.parse(raw);
+        return schema.items?.type === 'id' && Array.isArray(items) ? items.map(String) : items;
+      }
+      return raw.split(',').map(s => s.trim()).filter(Boolean).map(item => coerceValue(item, schema.items));
+    case 'object':
+      return JSON.parse(raw);
+    default:
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+  }
+}
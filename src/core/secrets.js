@@ -0,0 +1,220 @@
+// ═══════════════════════════════════════════════════════════════
+// Secrets — keep tokens out of config.json
+// Secret settings (token, secret, password, ...) can hold a reference instead of the value:
+//   "env:TELEGRAM_TOKEN"   environment variable
+//   "file:/run/secrets/x"  file contents (trimmed)
+//   "vault:telegram"       entry in the encrypted vault (secrets.vault next to config.json)
+// Anywhere else (prompts, templates, URLs) the same text is kept as written.
+// The vault is AES-256-GCM with a key derived (scrypt) from the master
+// passphrase in EMPLI_MASTER_PASSPHRASE or EMPLI_MASTER_PASSPHRASE_FILE.
+// ═══════════════════════════════════════════════════════════════
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const SECRET_REF = /^(env|file|vault):(.+)$/;
+
+const SCRYPT = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const CHECK = 'empli-vault';   // Encrypted with the key so a wrong passphrase is caught up front
+
+// Setting names that hold credentials — the only ones references are resolved in, and
+// `empli secrets list` flags plain values in these
+const SECRET_KEYS = /^(token|secret|password|botToken|appToken|authToken|accountSid|key)$/;
+
+export function isSecretSetting(key) {
+  return SECRET_KEYS.test(key);
+}
+
+// ─── Files ───
+
+// Written 0600 even when the file already existed with looser permissions
+export function writePrivateFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, content, { encoding: 'utf-8', mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
+
+// True when group or others can read the file (always false on Windows)
+export function isExposed(filePath) {
+  if (process.platform === 'win32') return false;
+  try {
+    return (fs.statSync(filePath).mode & 0o077) !== 0;
+  } catch {
+    return false;
+  }
+}
+
+export function masterPassphrase() {
+  if (process.env.EMPLI_MASTER_PASSPHRASE) return process.env.EMPLI_MASTER_PASSPHRASE;
+  const file = process.env.EMPLI_MASTER_PASSPHRASE_FILE;
+  return file ? fs.readFileSync(expandHome(file), 'utf-8').trim() : null;
+}
+
+// ─── Vault ───
+
+export class SecretVault {
+  constructor(filePath) {
+    this.path = filePath;
+    this.data = this._read();   // { version, salt, check, secrets: { name: { iv, tag, value, updatedAt } } }
+    this.key = null;
+  }
+
+  get exists() {
+    return fs.existsSync(this.path);
+  }
+
+  names() {
+    return Object.entries(this.data.secrets).map(([name, { updatedAt }]) => ({ name, updatedAt }));
+  }
+
+  has(name) {
+    return Object.hasOwn(this.data.secrets, name);
+  }
+
+  // Derive the key; a new vault takes whatever passphrase comes first
+  unlock(passphrase) {
+    if (!passphrase) throw new Error('Vault is locked — set EMPLI_MASTER_PASSPHRASE or EMPLI_MASTER_PASSPHRASE_FILE');
+    if (!this.data.salt) {
+      this.data.salt = crypto.randomBytes(16).toString('base64');
+      this.key = deriveKey(passphrase, this.data.salt);
+      this.data.check = encrypt(this.key, CHECK);
+      return this;
+    }
+    const key = deriveKey(passphrase, this.data.salt);
+    if (decrypt(key, this.data.check) !== CHECK) throw new Error('Wrong master passphrase');
+    this.key = key;
+    return this;
+  }
+
+  get(name) {
+    const entry = this.data.secrets[name];
+    if (!entry) return undefined;
+    this._requireKey();
+    const value = decrypt(this.key, entry);
+    if (value === null) throw new Error(`Vault entry "${name}" is corrupted`);
+    return value;
+  }
+
+  set(name, value) {
+    this._requireKey();
+    this.data.secrets[name] = { ...encrypt(this.key, value), updatedAt: new Date().toISOString() };
+    this._write();
+  }
+
+  remove(name) {
+    if (!this.has(name)) return false;
+    delete this.data.secrets[name];
+    this._write();
+    return true;
+  }
+
+  // Re-encrypt every entry under a new passphrase (and a new salt)
+  rotate(newPassphrase) {
+    this._requireKey();
+    const values = Object.fromEntries(Object.keys(this.data.secrets).map(name => [name, this.get(name)]));
+    this.data.salt = crypto.randomBytes(16).toString('base64');
+    this.key = deriveKey(newPassphrase, this.data.salt);
+    this.data.check = encrypt(this.key, CHECK);
+    for (const [name, value] of Object.entries(values)) {
+      this.data.secrets[name] = { ...encrypt(this.key, value), updatedAt: this.data.secrets[name].updatedAt };
+    }
+    this._write();
+    return Object.keys(values).length;
+  }
+
+  _requireKey() {
+    if (!this.key) this.unlock(masterPassphrase());
+  }
+
+  _read() {
+    if (!fs.existsSync(this.path)) return { version: 1, salt: null, check: null, secrets: {} };
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+    return { ...data, secrets: data.secrets || {} };
+  }
+
+  _write() {
+    writePrivateFile(this.path, JSON.stringify(this.data, null, 2));
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, SCRYPT);
+}
+
+function encrypt(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const value = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), value: value.toString('base64') };
+}
+
+// null when the key is wrong or the entry was tampered with
+function decrypt(key, { iv, tag, value }) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(value, 'base64')), decipher.final()]).toString('utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// ─── References ───
+
+// Replaces references in place. Returns [{ path, message }] for the ones that can't be resolved
+// (those become ''); the vault is only opened when something points into it.
+export function resolveSecrets(config, vaultPath) {
+  const errors = [];
+  let vault = null;
+
+  walk(config, '', (value, at, set) => {
+    const [, kind, ref] = value.match(SECRET_REF);
+    try {
+      let resolved;
+      if (kind === 'env') {
+        resolved = process.env[ref];
+        if (resolved === undefined) throw new Error(`environment variable ${ref} is not set`);
+      } else if (kind === 'file') {
+        resolved = fs.readFileSync(expandHome(ref), 'utf-8').trim();
+      } else {
+        vault = vault || new SecretVault(vaultPath);
+        if (!vault.has(ref)) throw new Error(`no vault entry "${ref}" (add it: empli secrets set ${ref})`);
+        resolved = vault.get(ref);
+      }
+      set(resolved);
+    } catch (err) {
+      errors.push({ path: at, message: `can't resolve ${value}: ${err.message.replace(/^ENOENT: /, '')}` });
+      set('');
+    }
+  });
+
+  return errors;
+}
+
+// Config paths holding references, and credential-looking settings stored as plain text
+export function findSecrets(config) {
+  const references = [];
+  const plaintext = [];
+  walk(config, '', (value, at) => references.push({ path: at, ref: value }), (value, at, key) => {
+    if (SECRET_KEYS.test(key) && value) plaintext.push(at);
+  });
+  return { references, plaintext };
+}
+
+function walk(node, prefix, onRef, onString) {
+  for (const [key, value] of Object.entries(node || {})) {
+    const at = Array.isArray(node) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      if (isSecretSetting(key) && SECRET_REF.test(value)) onRef(value, at, (resolved) => { node[key] = resolved; });
+      else onString?.(value, at, key);
+    } else if (value && typeof value === 'object') {
+      walk(value, at, onRef, onString);
+    }
+  }
+}
+
+function expandHome(file) {
+  return file.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : file;
+}
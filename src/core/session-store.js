@@ -0,0 +1,378 @@
+// ═══════════════════════════════════════════════════════════════
+// Session Store — where conversation history is persisted
+// JSONL files (default) or SQLite (queryable, multi-process)
+// Transcripts are a full append-only archive — nothing is ever trimmed
+// ═══════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Sessions');
+
+const require = createRequire(import.meta.url);
+
+// Every store implements:
+//   load(key, { limit, offset }) → entries, oldest first (offset skips the newest N)
+//   append(key, entries, channel) → channel is stored with the session; the key alone can't
+//                               tell "webhook:jira" + "PROJ-1" from "webhook" + "jira:PROJ-1"
+//   count(key)                → number of archived entries
+//   getMeta(key)              → { summary, conversationId, ... } or {}
+//   setMeta(key, meta)
+//   query(filter)             → [{ sessionKey, ...entry }], newest first
+//   list()                    → [{ sessionKey, channel, chatId, messages, lastActivity }]
+//   delete(key)
+//   close()
+//
+// filter: { sessionKey, channel, chatId, sender, role, since, until, text, limit }
+
+export function createSessionStore(dataDir, config = {}) {
+  const sessionsDir = path.join(dataDir, 'sessions');
+  const jsonl = new JsonlSessionStore(sessionsDir);
+
+  switch (config.store || 'jsonl') {
+    case 'jsonl':
+      return jsonl;
+    case 'sqlite': {
+      const store = new SqliteSessionStore(config.path || path.join(dataDir, 'sessions.db'));
+      if (store.isEmpty() && config.importJsonl !== false) {
+        const imported = store.importFrom(jsonl);
+        if (imported) log.info('Imported JSONL sessions into SQLite', { count: imported });
+      }
+      return store;
+    }
+    default:
+      throw new Error(`Unknown session store "${config.store}" (expected jsonl or sqlite)`);
+  }
+}
+
+// Sessions saved without their channel (older archives) split at the first colon
+function splitSessionKey(sessionKey, channel) {
+  if (channel && sessionKey.startsWith(`${channel}:`)) {
+    return { channel, chatId: sessionKey.slice(channel.length + 1) };
+  }
+  const i = sessionKey.indexOf(':');
+  if (i === -1) return { channel: sessionKey, chatId: '' };
+  return { channel: sessionKey.slice(0, i), chatId: sessionKey.slice(i + 1) };
+}
+
+// ─── JSONL: one file per session ───
+
+export class JsonlSessionStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, 'index.json');
+    fs.mkdirSync(dir, { recursive: true });
+    this.index = this._readIndex(); // file stem → { sessionKey, channel } (file names are sanitized)
+    this.counts = new Map();        // sessionKey → entries in its file, noted on every full read
+  }
+
+  load(key, { limit, offset = 0 } = {}) {
+    const entries = this._read(key);
+    const end = entries.length - offset;
+    return entries.slice(limit ? Math.max(0, end - limit) : 0, Math.max(0, end));
+  }
+
+  append(key, entries, channel) {
+    if (!entries.length) return;
+    const filePath = this._path(key);
+    const known = this.index[this._stem(key)];
+    if (!known || (channel && known.channel !== channel)) {
+      this.index[this._stem(key)] = { sessionKey: key, channel: channel || known?.channel || null };
+      this._writeIndex();
+    }
+    fs.appendFileSync(filePath, entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+    if (this.counts.has(key)) this.counts.set(key, this.counts.get(key) + entries.length);
+  }
+
+  count(key) {
+    return this.counts.get(key) ?? this._read(key).length;
+  }
+
+  getMeta(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this._metaPath(key), 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  setMeta(key, meta) {
+    fs.writeFileSync(this._metaPath(key), JSON.stringify(meta, null, 2), 'utf-8');
+  }
+
+  query(filter = {}) {
+    const sessions = filter.sessionKey
+      ? [{ sessionKey: filter.sessionKey, ...splitSessionKey(filter.sessionKey, this.index[this._stem(filter.sessionKey)]?.channel) }]
+      : this.list();
+    const results = [];
+    for (const { sessionKey, channel, chatId } of sessions) {
+      if (filter.channel && channel !== filter.channel) continue;
+      if (filter.chatId && chatId !== String(filter.chatId)) continue;
+      for (const entry of this._read(sessionKey)) {
+        if (matches(entry, filter)) results.push({ sessionKey, ...entry });
+      }
+    }
+    results.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    return results.slice(0, filter.limit || 100);
+  }
+
+  list() {
+    const sessions = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.jsonl')) continue;
+      const stem = file.slice(0, -'.jsonl'.length);
+      // Files from before the index: channel names have no "_", so the first one was the ":"
+      const sessionKey = this.index[stem]?.sessionKey || stem.replace('_', ':');
+      const entries = this._read(sessionKey);
+      sessions.push({
+        sessionKey,
+        ...splitSessionKey(sessionKey, this.index[stem]?.channel),
+        messages: entries.length,
+        lastActivity: entries.at(-1)?.timestamp || fs.statSync(path.join(this.dir, file)).mtimeMs,
+      });
+    }
+    return sessions.sort((a, b) => b.lastActivity - a.lastActivity);
+  }
+
+  delete(key) {
+    const filePath = this._path(key);
+    if (fs.existsSync(this._metaPath(key))) fs.unlinkSync(this._metaPath(key));
+    this.counts.delete(key);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    delete this.index[this._stem(key)];
+    this._writeIndex();
+    return true;
+  }
+
+  close() {}
+
+  _read(key) {
+    const filePath = this._path(key);
+    if (!fs.existsSync(filePath)) {
+      this.counts.set(key, 0);
+      return [];
+    }
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn write from a crash — skip the line, keep the rest
+      }
+    }
+    this.counts.set(key, entries.length);
+    return entries;
+  }
+
+  _stem(key) {
+    return key.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  _path(key) {
+    return path.join(this.dir, `${this._stem(key)}.jsonl`);
+  }
+
+  _metaPath(key) {
+    return path.join(this.dir, `${this._stem(key)}.meta.json`);
+  }
+
+  _readIndex() {
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+      // Older indexes map the stem straight to the session key
+      for (const [stem, entry] of Object.entries(index)) {
+        if (typeof entry === 'string') index[stem] = { sessionKey: entry, channel: null };
+      }
+      return index;
+    } catch {
+      return {};
+    }
+  }
+
+  _writeIndex() {
+    fs.writeFileSync(this.indexPath, JSON.stringify(this.index, null, 2), 'utf-8');
+  }
+}
+
+// ─── SQLite: one row per message ───
+
+export class SqliteSessionStore {
+  constructor(filePath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('SQLite session store needs better-sqlite3 — run: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.path = filePath;
+    this.db = new Database(filePath);
+
+    // WAL lets several gateways on one host read and write the same file
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_key TEXT NOT NULL,
+        channel     TEXT NOT NULL,
+        chat_id     TEXT NOT NULL,
+        role        TEXT,
+        sender      TEXT,
+        timestamp   INTEGER NOT NULL,
+        content     TEXT,
+        entry       TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_key, id);
+      CREATE INDEX IF NOT EXISTS idx_messages_channel ON messages (channel, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages (sender, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_time ON messages (timestamp);
+      CREATE TABLE IF NOT EXISTS session_meta (
+        session_key TEXT PRIMARY KEY,
+        data        TEXT NOT NULL,
+        updated_at  INTEGER NOT NULL
+      );
+    `);
+
+    this.statements = {
+      load: this.db.prepare('SELECT entry FROM messages WHERE session_key = ? ORDER BY id DESC LIMIT ? OFFSET ?'),
+      insert: this.db.prepare(`
+        INSERT INTO messages (session_key, channel, chat_id, role, sender, timestamp, content, entry)
+        VALUES (@sessionKey, @channel, @chatId, @role, @sender, @timestamp, @content, @entry)
+      `),
+      getMeta: this.db.prepare('SELECT data FROM session_meta WHERE session_key = ?'),
+      setMeta: this.db.prepare(`
+        INSERT INTO session_meta (session_key, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (session_key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      deleteMeta: this.db.prepare('DELETE FROM session_meta WHERE session_key = ?'),
+      list: this.db.prepare(`
+        SELECT session_key, channel, chat_id, COUNT(*) AS messages, MAX(timestamp) AS last_activity
+        FROM messages GROUP BY session_key ORDER BY last_activity DESC
+      `),
+      delete: this.db.prepare('DELETE FROM messages WHERE session_key = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS n FROM messages WHERE session_key = ?'),
+      channel: this.db.prepare('SELECT channel FROM messages WHERE session_key = ? ORDER BY id DESC LIMIT 1'),
+      any: this.db.prepare('SELECT 1 FROM messages LIMIT 1'),
+    };
+    this.insertMany = this.db.transaction((key, entries, known) => {
+      const { channel, chatId } = splitSessionKey(key, known || this.statements.channel.get(key)?.channel);
+      for (const entry of entries) {
+        this.statements.insert.run({
+          sessionKey: key,
+          channel,
+          chatId,
+          role: entry.role || null,
+          sender: entry.sender != null ? String(entry.sender) : null,
+          timestamp: entry.timestamp || Date.now(),
+          content: entry.content ?? null,
+          entry: JSON.stringify(entry),
+        });
+      }
+    });
+
+    log.info('SQLite store', { path: filePath });
+  }
+
+  load(key, { limit, offset = 0 } = {}) {
+    return this.statements.load.all(key, limit || -1, offset).reverse().map(row => JSON.parse(row.entry));
+  }
+
+  append(key, entries, channel) {
+    if (entries.length) this.insertMany(key, entries, channel);
+  }
+
+  count(key) {
+    return this.statements.count.get(key).n;
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.data) : {};
+  }
+
+  setMeta(key, meta) {
+    this.statements.setMeta.run(key, JSON.stringify(meta), Date.now());
+  }
+
+  query(filter = {}) {
+    const where = [];
+    const params = {};
+    const add = (clause, name, value) => {
+      where.push(clause);
+      params[name] = value;
+    };
+
+    if (filter.sessionKey) add('session_key = @sessionKey', 'sessionKey', filter.sessionKey);
+    if (filter.channel) add('channel = @channel', 'channel', filter.channel);
+    if (filter.chatId) add('chat_id = @chatId', 'chatId', String(filter.chatId));
+    if (filter.sender) add('sender = @sender', 'sender', String(filter.sender));
+    if (filter.role) add('role = @role', 'role', filter.role);
+    if (filter.since) add('timestamp >= @since', 'since', toTime(filter.since));
+    if (filter.until) add('timestamp <= @until', 'until', toTime(filter.until));
+    if (filter.text) add("content LIKE @text ESCAPE '\\'", 'text', `%${filter.text.replace(/[\\%_]/g, '\\$&')}%`);
+    params.limit = filter.limit || 100;
+
+    const sql = `SELECT session_key, entry FROM messages
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC LIMIT @limit`;
+    return this.db.prepare(sql).all(params)
+      .map(row => ({ sessionKey: row.session_key, ...JSON.parse(row.entry) }));
+  }
+
+  list() {
+    return this.statements.list.all().map(row => ({
+      sessionKey: row.session_key,
+      channel: row.channel,
+      chatId: row.chat_id,
+      messages: row.messages,
+      lastActivity: row.last_activity,
+    }));
+  }
+
+  delete(key) {
+    this.statements.deleteMeta.run(key);
+    return this.statements.delete.run(key).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  isEmpty() {
+    return !this.statements.any.get();
+  }
+
+  // One-time migration when switching from JSONL
+  importFrom(store) {
+    let count = 0;
+    for (const { sessionKey, channel } of store.list()) {
+      this.append(sessionKey, store.load(sessionKey), channel);
+      const meta = store.getMeta(sessionKey);
+      if (Object.keys(meta).length) this.setMeta(sessionKey, meta);
+      count++;
+    }
+    return count;
+  }
+}
+
+function matches(entry, filter) {
+  if (filter.sender && String(entry.sender) !== String(filter.sender)) return false;
+  if (filter.role && entry.role !== filter.role) return false;
+  if (filter.since && (entry.timestamp || 0) < toTime(filter.since)) return false;
+  if (filter.until && (entry.timestamp || 0) > toTime(filter.until)) return false;
+  if (filter.text && !String(entry.content || '').toLowerCase().includes(filter.text.toLowerCase())) return false;
+  return true;
+}
+
+// Accepts epoch ms (number or digits, e.g. from a query string) or anything Date.parse understands
+function toTime(value) {
+  return typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
@@ -0,0 +1,101 @@
+// ═══════════════════════════════════════════════════════════════
+// Agent Streams — reads SSE or NDJSON responses from the agent
+// Each event is JSON: { delta } chunks, then a final { reply, ... }
+// ═══════════════════════════════════════════════════════════════
+
+export function isStreamResponse(response) {
+  const type = response.headers.get('content-type') || '';
+  return type.includes('text/event-stream')
+    || type.includes('application/x-ndjson')
+    || type.includes('application/jsonl');
+}
+
+// Consume the stream, calling onPartial(textSoFar, delta) as text arrives.
+// Resolves to the same shape as a non-streaming JSON body.
+export async function readAgentStream(response, onPartial) {
+  const sse = (response.headers.get('content-type') || '').includes('text/event-stream');
+  let text = '';
+  const final = {};
+
+  for await (const event of parseEvents(response.body, sse)) {
+    if (event.type === 'error' || event.error) {
+      throw new Error(event.error?.message || event.error || event.message || 'Agent stream error');
+    }
+
+    const delta = event.delta ?? event.token
+      ?? (['delta', 'partial', 'text'].includes(event.type) ? event.text : undefined);
+    if (typeof delta === 'string' && delta) {
+      text += delta;
+      try {
+        onPartial?.(text, delta);
+      } catch (err) {
+        // A failing consumer shouldn't kill the stream
+      }
+    }
+
+    if (event.reply || event.response) final.reply = event.reply || event.response;
+    if (event.conversationId || event.conversation_id) {
+      final.conversationId = event.conversationId || event.conversation_id;
+    }
+    if (event.tool_calls || event.toolCalls) final.tool_calls = event.tool_calls || event.toolCalls;
+    if (event.attachments) final.attachments = event.attachments;
+  }
+
+  return {
+    ...final,
+    reply: final.reply || text || null,
+  };
+}
+
+async function* parseEvents(body, sse) {
+  const decoder = new TextDecoder();
+  const separator = sse ? /\r?\n\r?\n/ : /\r?\n/;
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const parts = buffer.split(separator);
+    buffer = parts.pop();
+    for (const part of parts) {
+      const event = sse ? parseSseEvent(part) : parseJsonLine(part);
+      if (event) yield event;
+    }
+  }
+
+  buffer += decoder.decode();
+  const last = sse ? parseSseEvent(buffer) : parseJsonLine(buffer);
+  if (last) yield last;
+}
+
+function parseSseEvent(block) {
+  let name = null;
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('event:')) name = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  if (!data.length) return null;
+
+  const payload = data.join('\n');
+  if (payload === '[DONE]') return null;
+
+  try {
+    const event = JSON.parse(payload);
+    if (event && typeof event === 'object') {
+      if (name && !event.type) event.type = name;
+      return event;
+    }
+  } catch {
+    // Plain-text data lines are treated as text deltas
+  }
+  return { type: name || 'delta', delta: payload };
+}
+
+function parseJsonLine(line) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
@@ -4,61 +4,46 @@
 // ═══════════════════════════════════════════════════════════════
 
 import { Gateway } from './core/gateway.js';
-import { loadConfig } from './core/config.js';
-import { WhatsAppChannel } from './channels/whatsapp.js';
-import { TelegramChannel } from './channels/telegram.js';
-import { DiscordChannel } from './channels/discord.js';
-import { SlackChannel } from './channels/slack.js';
-import { GmailChannel } from './channels/gmail.js';
-import { WebChatChannel } from './channels/webchat.js';
+import { applyPathFlags, loadConfig, PROFILE, CONFIG_PATH } from './core/config.js';
+import { closeLogging, configureLogging, createLogger } from './core/logger.js';
+import { ConfigReloader } from './core/reload.js';
+import { channelConfig, createChannel, enabledChannels } from './channels/index.js';
 
-async function main() {
-  console.log('');
-  console.log('  ╔═══════════════════════════════════╗');
-  console.log('  ║        Airminal Gateway v1.0       ║');
-  console.log('  ║  Your agent, everywhere you chat   ║');
-  console.log('  ╚═══════════════════════════════════╝');
-  console.log('');
+const log = createLogger('Gateway');
 
-  // Load config
-  const config = loadConfig();
+async function main() {
+  // Load config (node src/index.js --profile staging works too)
+  applyPathFlags(process.argv.slice(2));
+  const config = loadConfig({ strict: true });
+  if (!config) {
+    log.error('Fix config.json before starting — see: empli config validate');
+    process.exit(1);
+  }
+  configureLogging(config.logging, config.dataDir);
+
+  // The banner would only get in the way of log shippers
+  if ((process.env.EMPLI_LOG_FORMAT || config.logging?.format) !== 'json') {
+    console.log('');
+    console.log('  ╔═══════════════════════════════════╗');
+    console.log('  ║        Airminal Gateway v1.0       ║');
+    console.log('  ║  Your agent, everywhere you chat   ║');
+    console.log('  ╚═══════════════════════════════════╝');
+    console.log('');
+  }
 
   if (!config.endpoint) {
-    console.error('[Gateway] No agent endpoint configured!');
-    console.error('  Set airminal_ENDPOINT env var or run: airminal onboard');
-    console.error('  Example: airminal_ENDPOINT=https://simon.airminal.com/api/ node src/index.js');
+    log.error('No agent endpoint configured! Set EMPLI_ENDPOINT (or AIRMINAL_ENDPOINT) or run: empli onboard', {
+      example: 'EMPLI_ENDPOINT=https://simon.airminal.com/api/ node src/index.js',
+    });
     process.exit(1);
   }
 
   // Create gateway
   const gateway = new Gateway(config);
 
-  // Register enabled channels
-  const ch = config.channels;
-
-  // WebChat always runs (local HTTP API)
-  if (ch.webchat?.enabled !== false) {
-    gateway.registerChannel('webchat', new WebChatChannel(ch.webchat));
-  }
-
-  if (ch.whatsapp?.enabled) {
-    gateway.registerChannel('whatsapp', new WhatsAppChannel(ch.whatsapp));
-  }
-
-  if (ch.telegram?.enabled) {
-    gateway.registerChannel('telegram', new TelegramChannel(ch.telegram));
-  }
-
-  if (ch.discord?.enabled) {
-    gateway.registerChannel('discord', new DiscordChannel(ch.discord));
-  }
-
-  if (ch.slack?.enabled) {
-    gateway.registerChannel('slack', new SlackChannel(ch.slack));
-  }
-
-  if (ch.gmail?.enabled) {
-    gateway.registerChannel('gmail', new GmailChannel(ch.gmail));
+  // Register enabled channels and instances (WebChat always runs unless disabled — it's the local HTTP API)
+  for (const name of enabledChannels(config.channels)) {
+    gateway.registerChannel(name, createChannel(name, channelConfig(config.channels, name)));
   }
 
   // Start all channels
@@ -67,23 +52,27 @@ async function main() {
   // Session cleanup every 30 min
   setInterval(() => gateway.cleanExpiredSessions(), 30 * 60 * 1000);
 
+  // Pick up config.json edits (and SIGHUP) without restarting
+  const reloader = new ConfigReloader(gateway);
+  reloader.start({ watch: config.watchConfig !== false });
+
   // Print status
   const status = gateway.getStatus();
-  console.log('');
-  console.log('[Gateway] Status:');
-  console.log(`  Default endpoint: ${status.defaultEndpoint}`);
   for (const [name, info] of Object.entries(status.channels)) {
-    const icon = info.status === 'connected' ? '✓' : info.status === 'needs_auth' ? '⚠' : '✗';
-    const epNote = info.endpoint !== status.defaultEndpoint ? ` → ${info.endpoint}` : '';
-    console.log(`  ${icon} ${name}: ${info.status}${epNote}`);
+    log.info('Channel status', {
+      channel: name,
+      status: info.status,
+      endpoint: info.endpoint !== status.defaultEndpoint ? info.endpoint : undefined,
+    });
   }
-  console.log(`  Sessions: ${status.activeSessions}`);
-  console.log('');
+  log.info('Gateway ready', { profile: PROFILE, config: CONFIG_PATH, defaultEndpoint: status.defaultEndpoint, sessions: status.activeSessions });
 
   // Graceful shutdown
   const shutdown = async () => {
-    console.log('\n[Gateway] Shutting down...');
+    log.info('Shutting down');
+    reloader.stop();
     await gateway.stopAll();
+    closeLogging();
     process.exit(0);
   };
   process.on('SIGINT', shutdown);
@@ -91,6 +80,7 @@ async function main() {
 }
 
 main().catch(err => {
-  console.error('Fatal error:', err);
+  log.error('Fatal error', { error: err.stack || err.message });
+  closeLogging();
   process.exit(1);
 });
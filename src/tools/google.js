@@ -7,6 +7,7 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { writePrivateFile } from '../core/secrets.js';
 
 // ─────────────────────────────────────────────
 // TOOL DEFINITIONS
@@ -365,6 +366,7 @@ export const GOOGLE_TOOL_DEFINITIONS = [
 
 export class GoogleToolExecutor {
   constructor(config = {}) {
+    if (!config.tokenPath) throw new Error('GoogleToolExecutor needs tokenPath (<dataDir>/google-token.json)');
     this.config = config;
     this.google = null;
     this.auth = null;
@@ -382,7 +384,7 @@ export class GoogleToolExecutor {
 
     // Load OAuth credentials
     const credPath = this.config.credentialsPath;
-    const tokenPath = this.config.tokenPath || path.join(os.homedir(), '.empli', 'google-token.json');
+    const { tokenPath } = this.config;
 
     if (!credPath || !fs.existsSync(credPath)) {
       throw new Error('Google OAuth credentials not configured. Run: empli onboard and enable Google services.');
@@ -411,7 +413,7 @@ export class GoogleToolExecutor {
     oauth2Client.on('tokens', (newTokens) => {
       const current = JSON.parse(fs.readFileSync(tokenPath, 'utf-8'));
       const updated = { ...current, ...newTokens };
-      fs.writeFileSync(tokenPath, JSON.stringify(updated, null, 2));
+      writePrivateFile(tokenPath, JSON.stringify(updated, null, 2));
     });
 
     this.auth = oauth2Client;
@@ -6,3 +6,4 @@ export { TWILIO_TOOL_DEFINITIONS, TwilioToolExecutor } from './twilio.js';
 export { NOTION_TOOL_DEFINITIONS, NotionToolExecutor } from './notion.js';
 export { DOCKER_TOOL_DEFINITIONS, DockerToolExecutor } from './docker.js';
 export { DATABASE_TOOL_DEFINITIONS, DatabaseToolExecutor } from './database.js';
+export { ToolRegistry } from './registry.js';
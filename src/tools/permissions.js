@@ -4,10 +4,7 @@
 // ═══════════════════════════════════════════════════════════════
 
 import fs from 'fs';
-import path from 'path';
-import os from 'os';
-
-const APPROVALS_PATH = path.join(os.homedir(), '.empli', 'permissions.json');
+import { writePrivateFile } from '../core/secrets.js';
 
 // Commands that are always safe (read-only, no side effects)
 const SAFE_COMMANDS = new Set([
@@ -100,7 +97,10 @@ const DANGEROUS_TOOLS = new Set([
 ]);
 
 export class PermissionSystem {
-  constructor() {
+  // filePath: <dataDir>/permissions.json of the running profile
+  constructor(filePath) {
+    if (!filePath) throw new Error('PermissionSystem needs the path of permissions.json');
+    this.path = filePath;
     this.approvals = this._load();
     this.pendingCallbacks = new Map(); // For async approval via chat
   }
@@ -219,15 +219,14 @@ export class PermissionSystem {
   // Persistence
   _load() {
     try {
-      if (fs.existsSync(APPROVALS_PATH)) {
-        return JSON.parse(fs.readFileSync(APPROVALS_PATH, 'utf-8'));
+      if (fs.existsSync(this.path)) {
+        return JSON.parse(fs.readFileSync(this.path, 'utf-8'));
       }
     } catch (e) {}
     return { allowed: [], denied: [] };
   }
 
   _save() {
-    fs.mkdirSync(path.dirname(APPROVALS_PATH), { recursive: true });
-    fs.writeFileSync(APPROVALS_PATH, JSON.stringify(this.approvals, null, 2));
+    writePrivateFile(this.path, JSON.stringify(this.approvals, null, 2));
   }
 }
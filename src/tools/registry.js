@@ -0,0 +1,64 @@
+// ═══════════════════════════════════════════════════════════════
+// Empli Gateway — Tool Registry
+// Routes tool calls from the agent to the right executor by name
+// ═══════════════════════════════════════════════════════════════
+
+import path from 'path';
+import { TOOL_DEFINITIONS, ToolExecutor } from './tools.js';
+import { GOOGLE_TOOL_DEFINITIONS, GoogleToolExecutor } from './google.js';
+import { GITHUB_TOOL_DEFINITIONS, GitHubToolExecutor } from './github.js';
+import { TWILIO_TOOL_DEFINITIONS, TwilioToolExecutor } from './twilio.js';
+import { NOTION_TOOL_DEFINITIONS, NotionToolExecutor } from './notion.js';
+import { DOCKER_TOOL_DEFINITIONS, DockerToolExecutor } from './docker.js';
+import { DATABASE_TOOL_DEFINITIONS, DatabaseToolExecutor } from './database.js';
+import { createLogger } from '../core/logger.js';
+
+const log = createLogger('Tools');
+
+export class ToolRegistry {
+  // config.dataDir is the resolved data dir (profile / --data-dir) — tokens and memory live there
+  constructor(config = {}) {
+    if (!config.dataDir) throw new Error('ToolRegistry needs dataDir');
+    this.config = config;
+    this.definitions = [];
+    this.executors = new Map();    // toolName → executor instance
+
+    this._register(TOOL_DEFINITIONS, new ToolExecutor({ memoryDir: path.join(config.dataDir, 'memory'), ...config.local }));
+    this._register(GOOGLE_TOOL_DEFINITIONS, new GoogleToolExecutor({
+      ...config.google,
+      tokenPath: config.google?.tokenPath || path.join(config.dataDir, 'google-token.json'),
+    }));
+    this._register(GITHUB_TOOL_DEFINITIONS, new GitHubToolExecutor(config.github || {}));
+    this._register(TWILIO_TOOL_DEFINITIONS, new TwilioToolExecutor(config.twilio || {}));
+    this._register(NOTION_TOOL_DEFINITIONS, new NotionToolExecutor(config.notion || {}));
+    this._register(DOCKER_TOOL_DEFINITIONS, new DockerToolExecutor(config.docker || {}));
+    this._register(DATABASE_TOOL_DEFINITIONS, new DatabaseToolExecutor(config.database || {}));
+  }
+
+  _register(definitions, executor) {
+    for (const def of definitions) {
+      this.definitions.push(def);
+      this.executors.set(def.name, executor);
+    }
+  }
+
+  has(toolName) {
+    return this.executors.has(toolName);
+  }
+
+  getDefinitions() {
+    return this.definitions;
+  }
+
+  async execute(toolName, input = {}) {
+    const executor = this.executors.get(toolName);
+    if (!executor) return { error: `Unknown tool: ${toolName}` };
+
+    const started = Date.now();
+    const result = await executor.execute(toolName, input);
+    const durationMs = Date.now() - started;
+    if (result?.error) log.warn('Tool returned an error', { tool: toolName, error: result.error, durationMs });
+    else log.debug('Tool finished', { tool: toolName, input, durationMs });
+    return result;
+  }
+}
@@ -344,7 +344,9 @@ export const TOOL_DEFINITIONS = [
         name: { type: 'string', description: 'Name for this scheduled task' },
         schedule: { type: 'string', description: 'Cron expression (e.g. "0 9 * * *" for 9am daily) or ISO date for one-time' },
         prompt: { type: 'string', description: 'The message/instruction to execute when triggered' },
-        channel: { type: 'string', description: 'Which channel to send the result to (optional)' },
+        channel: { type: 'string', description: 'Which channel to send the result to (optional, defaults to the current chat)' },
+        chat_id: { type: 'string', description: 'Chat ID on that channel to send the result to (optional)' },
+        timezone: { type: 'string', description: 'IANA timezone for the schedule, e.g. "Europe/Berlin" (optional)' },
       },
       required: ['name', 'schedule', 'prompt'],
     },
@@ -379,10 +381,12 @@ export const TOOL_DEFINITIONS = [
 
 export class ToolExecutor {
   constructor(config = {}) {
+    if (!config.memoryDir) throw new Error('ToolExecutor needs memoryDir (<dataDir>/memory)');
     this.homeDir = config.homeDir || os.homedir();
-    this.memoryDir = config.memoryDir || path.join(this.homeDir, '.empli', 'memory');
+    this.memoryDir = config.memoryDir;
     this.scheduledTasks = new Map();
     this.onScheduledTask = config.onScheduledTask || null; // callback for scheduled tasks
+    this.onCancelScheduledTask = config.onCancelScheduledTask || null;
 
     fs.mkdirSync(this.memoryDir, { recursive: true });
   }
@@ -891,10 +895,13 @@ export class ToolExecutor {
   // ═══ SCHEDULING ═══
 
   scheduleTask(input) {
-    const { name, schedule: cronExpr, prompt, channel } = input;
+    const { name, schedule: cronExpr, prompt, channel, chat_id: chatId, timezone } = input;
 
     // Store task config
-    const task = { name, schedule: cronExpr, prompt, channel, createdAt: new Date().toISOString() };
+    const task = { name, schedule: cronExpr, prompt, channel, chatId, timezone, createdAt: new Date().toISOString() };
+
+    // Register with the running scheduler first — it throws on invalid schedules
+    if (this.onScheduledTask) this.onScheduledTask(task);
 
     // Save to disk for persistence
     const tasksDir = path.join(this.memoryDir, '..', 'tasks');
@@ -924,6 +931,7 @@ export class ToolExecutor {
     if (fs.existsSync(taskPath)) {
       fs.unlinkSync(taskPath);
       this.scheduledTasks.delete(input.name);
+      if (this.onCancelScheduledTask) this.onCancelScheduledTask(input.name);
       return { success: true, cancelled: input.name };
     }
     return { error: `Task "${input.name}" not found` };
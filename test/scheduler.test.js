@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Scheduler, lastMatchBetween } from '../src/core/scheduler.js';
+
+const at = (iso) => Date.parse(iso);
+
+test('catch-up matches 6-field expressions with non-zero seconds', () => {
+  const missed = lastMatchBetween('30 */5 * * * *', 'UTC', at('2026-01-01T10:00:00Z'), at('2026-01-01T10:12:00Z'));
+  assert.equal(missed?.toISOString(), '2026-01-01T10:10:30.000Z');
+});
+
+test('catch-up ignores a second that is still ahead in the current minute', () => {
+  const missed = lastMatchBetween('45 * * * * *', 'UTC', at('2026-01-01T10:00:00Z'), at('2026-01-01T10:05:20Z'));
+  assert.equal(missed?.toISOString(), '2026-01-01T10:04:45.000Z');
+});
+
+test('catch-up finds a match in the minute the window starts in', () => {
+  const missed = lastMatchBetween('50 0 10 * * *', 'UTC', at('2026-01-01T10:00:20Z'), at('2026-01-01T10:01:00Z'));
+  assert.equal(missed?.toISOString(), '2026-01-01T10:00:50.000Z');
+});
+
+test('5-field expressions still match on the minute', () => {
+  const missed = lastMatchBetween('0 9 * * mon', 'Europe/Berlin', at('2026-01-01T00:00:00Z'), at('2026-01-10T00:00:00Z'));
+  assert.equal(missed?.toISOString(), '2026-01-05T08:00:00.000Z');
+});
+
+test('start() catches up a missed run of a seconds schedule', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'empli-scheduler-'));
+  const runs = [];
+  const gateway = { dataDir, handleMessage: async (msg) => { runs.push(msg); return { reply: 'done' }; } };
+  const scheduler = new Scheduler(gateway, { timezone: 'UTC' });
+  try {
+    await scheduler.start([{
+      name: 'report',
+      schedule: '15 * * * * *',
+      prompt: 'Report',
+      createdAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    }]);
+    assert.equal(runs[0]?.metadata.trigger, 'catch_up');
+    assert.equal(new Date(scheduler.getHistory('report', 1)[0].scheduledFor).getUTCSeconds(), 15);
+  } finally {
+    scheduler.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});